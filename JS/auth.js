@@ -0,0 +1,128 @@
+/**
+ * @file auth.js
+ * @description Builds the authentication parameters of a YOURLS API request for a profile.
+ * YOURLS accepts three kinds of credentials:
+ * - `signature`: the raw signature token, sent with every request;
+ * - `timed`: `signature = hash(timestamp + token)` plus the `timestamp` (and `hash` for
+ *   sha1/sha512), so the token itself never leaves the browser. The server rejects
+ *   timestamps older than its nonce life (12 hours by default);
+ * - `password`: the admin `username` and `password`.
+ * Like helpers.js, this module is an IIFE exposing its API on `window.YourlsAuth`.
+ */
+
+window.YourlsAuth = (function() {
+  /** The supported authentication modes; the first one is the default. */
+  const MODES = ["signature", "timed", "password"];
+  /** The hash functions YOURLS accepts for time-limited signatures; md5 needs no `hash` parameter. */
+  const HASHES = ["md5", "sha1", "sha512"];
+
+  // Per-round shift amounts and sine-derived constants of MD5 (RFC 1321).
+  const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+  const MD5_K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+  /**
+   * Computes the MD5 digest of a string. The Web Crypto API has no MD5, which is
+   * still the default hash of YOURLS time-limited signatures.
+   * @param {string} text - The text to hash (encoded as UTF-8).
+   * @returns {string} The digest as lowercase hex.
+   */
+  function md5(text) {
+    const bytes = new TextEncoder().encode(text);
+    // Pad to a multiple of 64 bytes: 0x80, zeros, then the bit length (little-endian).
+    const length = (((bytes.length + 8) >>> 6) + 1) << 6;
+    const data = new Uint8Array(length);
+    data.set(bytes);
+    data[bytes.length] = 0x80;
+    const view = new DataView(data.buffer);
+    view.setUint32(length - 8, (bytes.length * 8) >>> 0, true);
+    view.setUint32(length - 4, Math.floor(bytes.length / 2 ** 29), true);
+
+    const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+    const words = new Array(16);
+    for (let offset = 0; offset < length; offset += 64) {
+      for (let i = 0; i < 16; i++) words[i] = view.getUint32(offset + i * 4, true);
+      let [a, b, c, d] = state;
+      for (let i = 0; i < 64; i++) {
+        let f, g;
+        if (i < 16) {
+          f = (b & c) | (~b & d);
+          g = i;
+        } else if (i < 32) {
+          f = (d & b) | (~d & c);
+          g = (5 * i + 1) % 16;
+        } else if (i < 48) {
+          f = b ^ c ^ d;
+          g = (3 * i + 5) % 16;
+        } else {
+          f = c ^ (b | ~d);
+          g = (7 * i) % 16;
+        }
+        const sum = (a + f + MD5_K[i] + words[g]) | 0;
+        const shift = MD5_SHIFTS[(i >> 4) * 4 + (i % 4)];
+        a = d;
+        d = c;
+        c = b;
+        b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+      }
+      state[0] = (state[0] + a) | 0;
+      state[1] = (state[1] + b) | 0;
+      state[2] = (state[2] + c) | 0;
+      state[3] = (state[3] + d) | 0;
+    }
+
+    const out = new DataView(new ArrayBuffer(16));
+    state.forEach((v, i) => out.setUint32(i * 4, v, true));
+    return Array.from(new Uint8Array(out.buffer), b => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  /**
+   * Hashes a string with one of the algorithms in `HASHES`.
+   * @param {string} algorithm - "md5", "sha1" or "sha512".
+   * @param {string} text - The text to hash.
+   * @returns {Promise<string>} The digest as lowercase hex.
+   */
+  async function digest(algorithm, text) {
+    if (algorithm === "md5") return md5(text);
+    const name = algorithm === "sha512" ? "SHA-512" : "SHA-1";
+    const buffer = await crypto.subtle.digest(name, new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  /**
+   * Returns the authentication mode of a profile; profiles saved by older versions have none.
+   * @param {object} profile - The profile.
+   * @returns {string} One of `MODES`.
+   */
+  function modeOf(profile) {
+    return MODES.includes(profile?.authMode) ? profile.authMode : MODES[0];
+  }
+
+  /**
+   * Builds the authentication parameters for a request.
+   * @param {object} profile - The profile whose credentials to use.
+   * @param {number} [clockOffset=0] - Server time minus local time in milliseconds,
+   *   added to the timestamp of time-limited signatures.
+   * @returns {Promise<object>} Parameters to merge into the API payload.
+   */
+  async function params(profile, clockOffset = 0) {
+    switch (modeOf(profile)) {
+      case "password":
+        return { username: profile.username, password: profile.password };
+      case "timed": {
+        const hash = HASHES.includes(profile.signatureHash) ? profile.signatureHash : HASHES[0];
+        const timestamp = Math.floor((Date.now() + clockOffset) / 1000);
+        const signature = await digest(hash, timestamp + profile.apiSignature);
+        return hash === "md5" ? { timestamp, signature } : { timestamp, signature, hash };
+      }
+      default:
+        return { signature: profile.apiSignature };
+    }
+  }
+
+  return {
+    MODES,
+    HASHES,
+    modeOf,
+    params
+  };
+})();
@@ -8,53 +8,71 @@
  */
 
 const H = window.Helpers;
+const LinkHistory = window.LinkHistory;
+const UrlCleaner = window.UrlCleaner;
+const ShortenQueue = window.ShortenQueue;
+const YourlsAuth = window.YourlsAuth;
+const Vault = window.Vault;
+const SettingsSync = window.SettingsSync;
+const ClickTrends = window.ClickTrends;
+const ClickMilestones = window.ClickMilestones;
+const CopyFormats = window.CopyFormats;
 
-/**
- * A list of known tracking/redirect URL patterns to clean before shortening.
- * This makes the add-on more user-friendly by shortening the true destination URL.
- * Each pattern object defines how to identify and parse a specific redirect service.
- */
-const REDIRECT_PATTERNS = [
-  {
-    // Google Search, Images, etc.
-    host_prefix: 'www.google.',
-    path: '/url',
-    param: 'url'
-  },
-{
-  // Bing Search
-  host_prefix: 'www.bing.com',
-  path: '/ck/a',
-  param: 'u',
-  prefix_to_strip: 'a1' // Bing adds a prefix to the URL parameter
-},
-{
-  // DuckDuckGo Search
-  host_prefix: 'duckduckgo.com',
-  path: '/l/',
-  param: 'uddg'
-},
-{
-  // YouTube redirect links (e.g., in video descriptions)
-  host_prefix: 'www.youtube.com',
-  path: '/redirect',
-  param: 'q'
-}
-];
+// The redirect-unwrapping rules (Google, Bing, SafeLinks, …) live in url-cleaner.js
+// and can be edited, imported and exported on the options page.
 
 // ==========================================================================
 // API ACTION IMPLEMENTATIONS
 // These functions communicate directly with the YOURLS API.
 // ==========================================================================
 
+/**
+ * Resolves the YOURLS profile an API call should run against, decrypting its secrets
+ * if they are protected by a master passphrase (the error is flagged `locked` if the
+ * vault is locked, and classified as "settings" if the profile is incomplete). Pass the
+ * profile on to `yourlsFetch()`, which adds its credentials to the request.
+ * @param {string} [profileId] - The profile to use; defaults to the active profile.
+ * @param {object} [draft] - An unsaved profile to use instead, such as the one being
+ *   edited on the options page.
+ * @returns {Promise<{profile: object, base: string}>}
+ */
+async function resolveProfile(profileId, draft) {
+  let profile = draft ? H.createProfile(draft) : await H.getProfile(profileId);
+  if (profile?.sealed) {
+    const key = await Vault.getKey();
+    if (!key) {
+      const error = requestError(browser.i18n.getMessage("errorVaultLocked"), false, "locked");
+      error.locked = true;
+      throw error;
+    }
+    profile = await Vault.open(profile, key);
+  }
+  const base = H.sanitizeBaseUrl(profile?.yourlsUrl);
+  if (!profile || !base || !H.hasCredentials(profile)) throw requestError(browser.i18n.getMessage("errorNoSettings"), false, "settings");
+  return { profile, base };
+}
+
+/** The link list filters accepted by the YOURLS `stats` action. */
+const STATS_FILTERS = ["top", "bottom", "rand", "last"];
+
 /**
  * Fetches the main database statistics (total links, total clicks).
+ * When a filter is given, YOURLS also returns a list of links ranked by it.
+ * @param {string} [profileId] - The profile to query.
+ * @param {string} [filter] - One of `top`, `bottom`, `rand` or `last`.
+ * @param {number} [limit] - The maximum number of links to return.
+ * @param {number} [start] - The offset of the first link, for paging.
  * @returns {Promise<object>} The stats JSON data.
  */
-async function apiDbStats() {
-  const { yourlsUrl, apiSignature } = await H.getSettings();
-  const base = H.sanitizeBaseUrl(yourlsUrl);
-  const { res, json } = await yourlsFetch(base, { action: "stats", format: "json", signature: apiSignature });
+async function apiDbStats(profileId, filter, limit, start) {
+  const { profile, base } = await resolveProfile(profileId);
+  const payload = { action: "stats", format: "json" };
+  if (STATS_FILTERS.includes(filter)) {
+    payload.filter = filter;
+    payload.limit = Math.max(1, Math.min(Number(limit) || 10, 1000));
+    if (start) payload.start = Math.max(0, Number(start) || 0);
+  }
+  const { res, json } = await yourlsFetch(base, payload, { profile, retries: RETRY_ATTEMPTS });
 
   if (!res.ok || !json) {
     throw new Error(browser.i18n.getMessage("errorStatsFailed"));
@@ -65,13 +83,13 @@ async function apiDbStats() {
 /**
  * Fetches detailed statistics for a single short URL.
  * @param {string} shortOrKeyword - The short URL or keyword to look up.
+ * @param {string} [profileId] - The profile to query.
  * @returns {Promise<object>} The stats JSON data for the specified link.
  */
-async function apiStats(shortOrKeyword) {
-  const { yourlsUrl, apiSignature } = await H.getSettings();
-  const base = H.sanitizeBaseUrl(yourlsUrl);
+async function apiStats(shortOrKeyword, profileId) {
+  const { profile, base } = await resolveProfile(profileId);
   const kw = H.extractKeyword(base, shortOrKeyword);
-  const { res, text, json } = await yourlsFetch(base, { action: "url-stats", format: "json", signature: apiSignature, shorturl: kw });
+  const { res, text, json } = await yourlsFetch(base, { action: "url-stats", format: "json", shorturl: kw }, { profile, retries: RETRY_ATTEMPTS });
 
   if (!res.ok) {
     if (res.status === 404) {
@@ -82,23 +100,58 @@ async function apiStats(shortOrKeyword) {
   return json;
 }
 
+/**
+ * Checks whether a keyword is still free on the server.
+ * @param {string} keyword - The keyword to check.
+ * @param {string} [profileId] - The profile to query.
+ * @returns {Promise<boolean>} True if no link uses the keyword yet.
+ */
+async function apiKeywordAvailable(keyword, profileId) {
+  const { profile, base } = await resolveProfile(profileId);
+  const { res, json } = await yourlsFetch(base, { action: "url-stats", format: "json", shorturl: keyword }, { profile, retries: RETRY_ATTEMPTS });
+  if (res.status === 404 || json?.statusCode === 404) return true;
+  if (res.ok && json?.link) return false;
+  throw new Error(json?.message || `HTTP ${res.status}`);
+}
+
+/**
+ * Looks up the long URL and title behind a short URL with the YOURLS `expand` action.
+ * @param {string} shortOrKeyword - The short URL or keyword to expand.
+ * @param {string} [profileId] - The profile the link belongs to.
+ * @returns {Promise<object>} The expand JSON data (`shorturl`, `longurl`, `title`, …).
+ */
+async function apiExpand(shortOrKeyword, profileId) {
+  const { profile, base } = await resolveProfile(profileId);
+  const kw = H.extractKeyword(base, shortOrKeyword);
+  const { res, json } = await yourlsFetch(base, { action: "expand", format: "json", shorturl: kw }, { profile, retries: RETRY_ATTEMPTS });
+
+  if (!res.ok || !json?.longurl) {
+    throw new Error(json?.message || browser.i18n.getMessage("errorExpandFailed"));
+  }
+  return json;
+}
+
 /**
  * Creates a new short URL.
  * @param {string} longUrl - The URL to shorten.
  * @param {string} keyword - An optional custom keyword.
  * @param {string} title - An optional custom title for the link.
+ * @param {string} [profileId] - The profile to create the link on.
+ * @param {object} [options]
+ * @param {boolean} [options.quiet=false] - Suppress the success notification (used by batch operations).
  * @returns {Promise<object>} An object containing the result of the shorten request.
  */
-async function apiShorten(longUrl, keyword, title) {
-  const { yourlsUrl, apiSignature } = await H.getSettings();
-  const base = H.sanitizeBaseUrl(yourlsUrl);
-  if (!base || !apiSignature) throw new Error(browser.i18n.getMessage("errorNoSettings"));
+async function apiShorten(longUrl, keyword, title, profileId, { quiet = false } = {}) {
+  const { profile, base } = await resolveProfile(profileId);
 
-  const payload = { action: "shorturl", format: "json", signature: apiSignature, url: longUrl };
+  const payload = { action: "shorturl", format: "json", url: longUrl };
   if (keyword) payload.keyword = keyword;
   if (title) payload.title = title;
 
-  const { res, text, json } = await yourlsFetch(base, payload);
+  const { res, text, json } = await yourlsFetch(base, payload, { profile });
+
+  // A taken keyword is reported with "already exists" as well.
+  if (json?.code === "error:keyword") throw shortenFailure(json);
 
   // Gracefully handle the case where the URL already exists.
   if (json && /already exists/i.test(String(json.message || ""))) {
@@ -109,39 +162,88 @@ async function apiShorten(longUrl, keyword, title) {
     } else {
       existingShortUrl = H.extractShort(json, base);
     }
-    toast(browser.i18n.getMessage("extensionName"), browser.i18n.getMessage("toastUrlExists"));
+    if (!quiet) toast(browser.i18n.getMessage("extensionName"), browser.i18n.getMessage("toastUrlExists"));
+    await recordHistory(base, profile, longUrl, existingShortUrl, title || json.title, true);
     return { ok: true, shortUrl: existingShortUrl, already: true };
   }
 
   const short = H.extractShort(json, base);
   if (res.ok && json && short) {
-    toast(browser.i18n.getMessage("extensionName"), browser.i18n.getMessage("toastUrlCreated"));
+    if (!quiet) toast(browser.i18n.getMessage("extensionName"), browser.i18n.getMessage("toastUrlCreated"));
+    await recordHistory(base, profile, longUrl, short, title || json.title || json.url?.title, false);
     return { ok: true, shortUrl: short, already: false };
   }
 
-  // Handle other API errors.
-  if (json?.status === "fail" && json.message) throw new Error(json.message);
-  throw new Error(`HTTP ${res.status}${text ? (": " + text.slice(0, 200)) : ""}`);
+  // Handle other API errors. Server errors are transient, so the request can be queued.
+  if (json?.status === "fail" && json.message) throw shortenFailure(json);
+  const transient = isTransientStatus(res.status);
+  throw requestError(`HTTP ${res.status}${text ? (": " + text.slice(0, 200)) : ""}`, transient, transient ? "unreachable" : "");
+}
+
+/** YOURLS error codes that reject the long URL itself (missing, a short URL, or spam). */
+const BLOCKED_URL_CODES = ["error:nourl", "error:noloop", "error:spam", "error:blacklist"];
+/** How blocklist plugins, which often leave out the code, describe a rejected URL. */
+const BLOCKED_URL_PATTERN = /blacklist|blocklist|blocked|banned|spam|not allowed/i;
+
+/**
+ * Classifies a failed shorten request as reported by YOURLS.
+ * @param {{code?: string, message: string}} json - The response.
+ * @returns {Error}
+ */
+function shortenFailure(json) {
+  if (json.code === "error:keyword") {
+    return requestError(browser.i18n.getMessage("errorKeywordExists"), false, "keywordTaken");
+  }
+  if (BLOCKED_URL_CODES.includes(json.code) || BLOCKED_URL_PATTERN.test(json.message)) {
+    return requestError(browser.i18n.getMessage("errorUrlBlocked", String(json.message)), false, "urlBlocked");
+  }
+  return new Error(json.message);
+}
+
+/**
+ * Shortens a URL and queues the request for a later retry if the server can't be reached.
+ * @param {string} longUrl - The URL to shorten.
+ * @param {string} keyword - An optional custom keyword.
+ * @param {string} title - An optional custom title for the link.
+ * @param {string} [profileId] - The profile to create the link on.
+ * @returns {Promise<object>} The result of `apiShorten()`, or `{ok: false, queued: true, reason}`.
+ */
+async function shortenOrQueue(longUrl, keyword, title, profileId) {
+  try {
+    return await apiShorten(longUrl, keyword, title, profileId);
+  } catch (e) {
+    if (!e?.transient) throw e;
+    const profile = await H.getProfile(profileId);
+    await ShortenQueue.add({ longUrl, keyword, title, profileId: profile?.id, error: String(e.message) });
+    scheduleQueue(QUEUE_BASE_DELAY_MS);
+    return { ok: false, queued: true, reason: browser.i18n.getMessage("errorShortenQueued", String(e.message)) };
+  }
 }
 
 /**
  * Deletes an existing short URL.
  * @param {string} shortOrKeyword - The short URL or keyword to delete.
+ * @param {string} [profileId] - The profile the link belongs to.
  * @returns {Promise<object>} An object indicating success or failure.
  */
-async function apiDelete(shortOrKeyword) {
-  const { yourlsUrl, apiSignature } = await H.getSettings();
-  const base = H.sanitizeBaseUrl(yourlsUrl);
+async function apiDelete(shortOrKeyword, profileId) {
+  const { profile, base } = await resolveProfile(profileId);
   const keyword = H.extractKeyword(base, shortOrKeyword);
   if (!keyword) throw new Error(browser.i18n.getMessage("errorEnterKeywordToDelete"));
 
-  const payload = { action: "delete", format: "json", signature: apiSignature, shorturl: keyword };
-  const { res, json } = await yourlsFetch(base, payload);
+  const payload = { action: "delete", format: "json", shorturl: keyword };
+  const { res, json } = await yourlsFetch(base, payload, { profile });
 
   const isSuccess = (j) => j && (j.status === "success" || /success.*deleted/i.test(j.message || "") || j.statusCode === 200);
 
   if (res.ok && isSuccess(json)) {
     toast(browser.i18n.getMessage("extensionName"), browser.i18n.getMessage("toastUrlDeleted"));
+    const entries = await LinkHistory.list();
+    const match = entries.find(e => e.profileId === profile.id && H.extractKeyword(base, e.shortUrl) === keyword);
+    if (match) await LinkHistory.remove(match.shortUrl);
+    const watched = Object.entries(await ClickTrends.all())
+      .find(([url, series]) => series.profileId === profile.id && H.extractKeyword(base, url) === keyword);
+    if (watched) await ClickTrends.unwatch(watched[0]);
     return { ok: true };
   }
 
@@ -149,105 +251,799 @@ async function apiDelete(shortOrKeyword) {
   throw new Error(`Delete failed: HTTP ${res.status} ${errorDetails ? `- ${errorDetails}` : ''}`);
 }
 
+/** Whether a YOURLS instance has an API edit plugin, by base URL (detected once per session). */
+const editSupport = new Map();
+
+/**
+ * Detects whether the instance has an API edit plugin (such as "API Edit URL"),
+ * which adds the `update`, `change_keyword` and `geturl` actions. YOURLS answers
+ * unknown actions with an "Unknown or missing action" error.
+ * @param {string} [profileId] - The profile to check.
+ * @returns {Promise<boolean>}
+ */
+async function apiDetectEdit(profileId) {
+  const { profile, base } = await resolveProfile(profileId);
+  if (editSupport.has(base)) return editSupport.get(base);
+
+  const payload = { action: "geturl", format: "json", url: "https://example.com/" };
+  const { text, json } = await yourlsFetch(base, payload, { profile, retries: RETRY_ATTEMPTS });
+  const supported = !!json && !/unknown or missing .*action/i.test(String(json.message || text));
+  editSupport.set(base, supported);
+  return supported;
+}
+
+/**
+ * Finds the short link of a long URL with the API edit plugin's `geturl` action.
+ * @param {string} longUrl - The long URL to look up.
+ * @param {string} [profileId] - The profile to query.
+ * @returns {Promise<string|null>} The short URL, or null if the URL was never shortened
+ *   or the server has no API edit plugin.
+ */
+async function apiReverseLookup(longUrl, profileId) {
+  if (!(await apiDetectEdit(profileId))) return null;
+  const { profile, base } = await resolveProfile(profileId);
+  const { res, json } = await yourlsFetch(base, { action: "geturl", format: "json", url: longUrl }, { profile });
+  if (!res.ok || !json || json.statusCode === 404) return null;
+  const keyword = json.keyword || H.extractKeyword(base, json.shorturl || "");
+  return keyword ? (json.shorturl || `${base}/${keyword}`) : null;
+}
+
+/**
+ * Edits an existing short link with the API edit plugin.
+ * @param {string} shortOrKeyword - The short URL or keyword to edit.
+ * @param {{url: string, title?: string, keyword?: string}} changes - The new long URL, and
+ *   optionally a new title and keyword. The long URL is always required by the plugin.
+ * @param {string} [profileId] - The profile the link belongs to.
+ * @returns {Promise<object>} `{ok: true, shortUrl}` with the (possibly renamed) short URL.
+ */
+async function apiEdit(shortOrKeyword, changes, profileId) {
+  const { profile, base } = await resolveProfile(profileId);
+  const keyword = H.extractKeyword(base, shortOrKeyword);
+  if (!keyword) throw new Error(browser.i18n.getMessage("errorEnterKeywordToEdit"));
+  if (!/^https?:\/\//i.test(changes.url || "")) throw new Error(browser.i18n.getMessage("popupErrorInvalidUrl"));
+
+  const isSuccess = (j) => j && (j.statusCode === 200 || j.status === "success" || /^success/i.test(j.message || ""));
+  const fail = (res, json) => new Error(json?.message || `HTTP ${res.status}`);
+
+  const payload = { action: "update", format: "json", shorturl: keyword, url: changes.url };
+  if (changes.title !== undefined) payload.title = changes.title;
+  let { res, json } = await yourlsFetch(base, payload, { profile });
+  if (!res.ok || !isSuccess(json)) throw fail(res, json);
+
+  let newKeyword = keyword;
+  if (changes.keyword && changes.keyword !== keyword) {
+    const rename = { action: "change_keyword", format: "json", oldshorturl: keyword, newshorturl: changes.keyword, url: changes.url };
+    if (changes.title !== undefined) rename.title = changes.title;
+    ({ res, json } = await yourlsFetch(base, rename, { profile }));
+    if (!res.ok || !isSuccess(json)) throw fail(res, json);
+    newKeyword = changes.keyword;
+  }
+
+  const shortUrl = `${base}/${newKeyword}`;
+  const entries = await LinkHistory.list();
+  const match = entries.find(e => e.profileId === profile.id && H.extractKeyword(base, e.shortUrl) === keyword);
+  if (match) {
+    const update = { shortUrl, keyword: newKeyword, longUrl: changes.url };
+    if (changes.title !== undefined) update.title = changes.title;
+    await LinkHistory.update(match.shortUrl, update);
+  }
+  if (newKeyword !== keyword) await ClickTrends.rename(`${base}/${keyword}`, shortUrl);
+  return { ok: true, shortUrl };
+}
+
+/**
+ * Stores a successful shorten result in the local link history.
+ * A failure to write the history never fails the shorten request itself.
+ * @param {string} base - The base URL of the profile's YOURLS instance.
+ * @param {object} profile - The profile the link was created on.
+ * @param {string} longUrl - The long URL that was shortened.
+ * @param {string|null} shortUrl - The resulting short URL.
+ * @param {string} [title] - The link title, if known.
+ * @param {boolean} already - Whether the link already existed on the server.
+ */
+async function recordHistory(base, profile, longUrl, shortUrl, title, already) {
+  if (!shortUrl) return;
+  try {
+    await LinkHistory.add({
+      shortUrl,
+      longUrl,
+      keyword: H.extractKeyword(base, shortUrl),
+      title: title || "",
+      profileId: profile.id,
+      already
+    });
+  } catch (e) {
+    console.warn("Could not record link history.", e);
+  }
+}
+
 /**
  * Checks the connection to the YOURLS API (used in the options page).
+ * @param {string} [profileId] - The profile to check.
+ * @param {object} [draft] - The profile as entered in the form, saved or not.
  * @returns {Promise<object>} An object with connection status and total link count.
  */
-async function apiCheck() {
-  const { yourlsUrl, apiSignature } = await H.getSettings();
-  const base = H.sanitizeBaseUrl(yourlsUrl);
-  if (!base || !apiSignature) {
-    return { ok: false, reason: browser.i18n.getMessage("errorNoSettings") };
+async function apiCheck(profileId, draft) {
+  let profile, base;
+  try {
+    ({ profile, base } = await resolveProfile(profileId, draft));
+  } catch (e) {
+    return errorReply(e);
   }
   try {
-    const { res, json } = await yourlsFetch(base, { action: "stats", format: "json", signature: apiSignature });
+    // Rejected credentials and unusable answers are reported by `yourlsFetch()`.
+    const { res, json } = await yourlsFetch(base, { action: "stats", format: "json" }, { profile, retries: RETRY_ATTEMPTS });
     if (res.ok && json) {
       const total = (json.total_links ?? json.stats?.total_links ?? "?");
       return { ok: true, total };
     }
   } catch (e) {
-    return { ok: false, reason: String(e?.message || e) };
+    return errorReply(e);
   }
   return { ok: false, reason: browser.i18n.getMessage("optionsStatusConnFailed") };
 }
 
 
 // ==========================================================================
-// ADD-ON INTEGRATION & EVENT LISTENERS
-// These functions connect the API logic to the browser UI.
+// BATCH SHORTENING
+// Shortens every tab of a window, reporting per-tab progress to the popup.
 // ==========================================================================
 
+// How many shorten requests a batch runs in parallel.
+const BATCH_CONCURRENCY = 3;
+
+// The current (or last finished) batch. Kept in memory so a reopened popup can show it.
+let batch = null;
+
 /**
- * Intelligently determines which URL to shorten based on the user's action.
- * It cleans known tracking/redirect links to get the true destination URL.
- * @param {object} [info] - The context menu info object, if the action originated from a context menu.
- * @param {object} [tab] - The active tab object.
- * @returns {Promise<string>} The clean URL to be shortened.
+ * Sends the current batch state to any open popup.
  */
-async function getUrlForAction(info, tab) {
-  // 1. Prioritize a link from a context menu click.
-  if (info && info.linkUrl) {
-    let link = info.linkUrl;
+function broadcastBatch() {
+  browser.runtime.sendMessage({ type: "BATCH_PROGRESS", batch }).catch(() => {
+    // No popup is open to receive the update.
+  });
+}
 
-    // Clean the link using the REDIRECT_PATTERNS list.
-    try {
-      const urlObject = new URL(link);
-      for (const pattern of REDIRECT_PATTERNS) {
-        if (urlObject.hostname.startsWith(pattern.host_prefix) && urlObject.pathname.startsWith(pattern.path)) {
-          let realUrl = urlObject.searchParams.get(pattern.param);
-          if (realUrl) {
-            if (pattern.prefix_to_strip && realUrl.startsWith(pattern.prefix_to_strip)) {
-              realUrl = realUrl.substring(pattern.prefix_to_strip.length);
-            }
-            link = realUrl;
-            break; // Pattern matched, no need to check others.
-          }
+/**
+ * Shortens all eligible tabs (http/https, not already a short URL) of a window.
+ * Duplicate URLs are shortened once.
+ * @param {number} windowId - The window whose tabs should be shortened.
+ * @param {string} [profileId] - The profile to create the links on.
+ * @returns {Promise<object>} The batch state at the time it was started.
+ */
+async function shortenAllTabs(windowId, profileId) {
+  if (batch?.running) return batch;
+
+  const profile = await H.getProfile(profileId);
+  if (!profile) throw new Error(browser.i18n.getMessage("errorNoSettings"));
+  const settings = H.settingsForProfile(await H.getSettings(), profile);
+
+  const tabs = await browser.tabs.query({ windowId });
+  const seen = new Set();
+  const items = [];
+  for (const tab of tabs) {
+    if (!/^https?:\/\//i.test(tab.url || "") || H.findProfileForUrl(settings.profiles, tab.url)) continue;
+    const longUrl = UrlCleaner.clean(tab.url, settings).url;
+    if (seen.has(longUrl)) continue;
+    seen.add(longUrl);
+    items.push({ tabId: tab.id, title: tab.title || "", longUrl, status: "pending", shortUrl: "", error: "" });
+  }
+
+  batch = { running: true, profileId: profile.id, items };
+  broadcastBatch();
+
+  // Run in the background; progress is reported via BATCH_PROGRESS messages.
+  (async () => {
+    await H.mapLimit(items, BATCH_CONCURRENCY, async (item) => {
+      item.status = "running";
+      broadcastBatch();
+      try {
+        const r = await apiShorten(item.longUrl, "", item.title, profile.id, { quiet: true });
+        item.status = "done";
+        item.shortUrl = r.shortUrl || "";
+      } catch (e) {
+        item.status = "failed";
+        item.error = String(e?.message || e);
+      }
+      broadcastBatch();
+    });
+    batch.running = false;
+    broadcastBatch();
+    const done = items.filter(i => i.status === "done").length;
+    toast(browser.i18n.getMessage("extensionName"), browser.i18n.getMessage("toastBatchFinished", [String(done), String(items.length)]));
+  })();
+
+  return batch;
+}
+
+// ==========================================================================
+// OFFLINE QUEUE
+// Shorten requests that failed because the server was unreachable are kept in a
+// persistent queue and retried with exponential backoff.
+// ==========================================================================
+
+/** The delay before the first automatic retry of a queued request; it doubles with every attempt. */
+const QUEUE_BASE_DELAY_MS = 30 * 1000;
+/** The longest delay between two automatic retries. */
+const QUEUE_MAX_DELAY_MS = 30 * 60 * 1000;
+
+let queueTimer = null;
+let queueRunning = false;
+// Requests retried manually while a run was in progress; they are retried right after it.
+let queueRetryIds = [];
+
+/**
+ * Schedules the next automatic run of the queue.
+ * @param {number} delay - The delay in milliseconds.
+ */
+function scheduleQueue(delay) {
+  clearTimeout(queueTimer);
+  queueTimer = setTimeout(() => processQueue(), delay);
+}
+
+/**
+ * Retries queued shorten requests. Without IDs, only waiting requests whose backoff
+ * delay has passed are retried; with IDs (manual retry), exactly those requests are.
+ * A request that fails again is rescheduled if the failure is transient, or marked as
+ * failed otherwise (e.g. the keyword is taken meanwhile).
+ * @param {string[]} [ids] - The IDs of the requests to retry right away.
+ */
+async function processQueue(ids) {
+  if (queueRunning) {
+    if (ids) queueRetryIds.push(...ids);
+    return;
+  }
+  queueRunning = true;
+  // Set once the server turns out to be unreachable: the other due requests wait as well.
+  let blockedUntil = 0;
+  try {
+    for (const item of await ShortenQueue.list()) {
+      const due = ids ? ids.includes(item.id) : item.status === "waiting" && item.nextAttemptAt <= Date.now();
+      if (!due) continue;
+      if (blockedUntil) {
+        await ShortenQueue.update(item.id, { status: "waiting", nextAttemptAt: Math.max(item.nextAttemptAt, blockedUntil) });
+        continue;
+      }
+      try {
+        const r = await apiShorten(item.longUrl, item.keyword, item.title, item.profileId, { quiet: true });
+        await ShortenQueue.remove(item.id);
+        toast(browser.i18n.getMessage("extensionName"), browser.i18n.getMessage("toastQueuedCreated", [item.longUrl, r.shortUrl]));
+      } catch (e) {
+        // Nothing can be sent until the vault is unlocked; unlocking runs the queue again.
+        if (e?.locked) break;
+        const attempts = item.attempts + 1;
+        const lastError = String(e?.message || e);
+        if (!e?.transient) {
+          await ShortenQueue.update(item.id, { attempts, lastError, status: "failed" });
+          continue;
         }
+        // The server is still unreachable, so there's no point in trying the other requests now.
+        blockedUntil = Date.now() + Math.min(QUEUE_BASE_DELAY_MS * 2 ** (attempts - 1), QUEUE_MAX_DELAY_MS);
+        await ShortenQueue.update(item.id, { attempts, lastError, status: "waiting", nextAttemptAt: blockedUntil });
       }
+    }
+  } finally {
+    queueRunning = false;
+  }
+
+  // Wake up again when the next waiting request is due.
+  const waiting = (await ShortenQueue.list()).filter(e => e.status === "waiting");
+  if (waiting.length) {
+    scheduleQueue(Math.max(0, Math.min(...waiting.map(e => e.nextAttemptAt)) - Date.now()));
+  }
+  if (queueRetryIds.length) await processQueue(queueRetryIds.splice(0));
+}
+
+// ==========================================================================
+// TOOLBAR BADGE
+// Shows on the toolbar icon whether the current page already has a short link
+// ("✓"), or the click count when the page is one of our short links.
+// ==========================================================================
+
+/** How long server lookups for the badge are cached. */
+const BADGE_CACHE_TTL_MS = 5 * 60 * 1000;
+/** The maximum number of cached lookups; the oldest ones are dropped first. */
+const BADGE_CACHE_SIZE = 500;
+
+// Cached badge lookups: key -> { value, expires }.
+const badgeCache = new Map();
+
+/**
+ * Runs a lookup for the badge, or returns its cached result. Failed lookups count as
+ * "nothing found" and are cached as well, so an unreachable server isn't asked again
+ * on every navigation.
+ * @param {string} key - The cache key.
+ * @param {Function} lookup - Resolves to the value to cache.
+ * @returns {Promise<*>}
+ */
+async function cachedLookup(key, lookup) {
+  const hit = badgeCache.get(key);
+  if (hit && hit.expires > Date.now()) return hit.value;
+  const value = await lookup().catch(() => null);
+  badgeCache.delete(key);
+  badgeCache.set(key, { value, expires: Date.now() + BADGE_CACHE_TTL_MS });
+  if (badgeCache.size > BADGE_CACHE_SIZE) badgeCache.delete(badgeCache.keys().next().value);
+  return value;
+}
+
+/**
+ * Formats a click count to fit on the badge (e.g. 1234 -> "1.2k").
+ * @param {number} n - The count.
+ * @returns {string}
+ */
+function formatBadgeCount(n) {
+  if (n < 1000) return String(n);
+  if (n < 1e6) return (n < 1e4 ? (n / 1e3).toFixed(1) : Math.floor(n / 1e3)) + "k";
+  return (n < 1e7 ? (n / 1e6).toFixed(1) : Math.floor(n / 1e6)) + "M";
+}
+
+/**
+ * Determines the badge for a page URL.
+ * @param {string} url - The URL of the page.
+ * @param {object} settings - The user's settings.
+ * @returns {Promise<{text: string, title: string}>} The badge text and tooltip (empty for none).
+ */
+async function badgeStateFor(url, settings) {
+  const owner = H.findProfileForUrl(settings.profiles, url);
+  if (owner) {
+    const clicks = await cachedLookup(`clicks|${url}`, async () => (await apiStats(url, owner.id))?.link?.clicks ?? null);
+    if (clicks === null) return { text: "", title: "" };
+    return { text: formatBadgeCount(Number(clicks)), title: browser.i18n.getMessage("badgeTitleClicks", String(clicks)) };
+  }
+
+  const entry = await findHistoryEntry(url, settings);
+  let short = entry?.shortUrl;
+  if (!short && settings.badgeServerLookup) {
+    const cleaned = UrlCleaner.clean(url, settings).url;
+    short = await cachedLookup(`lookup|${settings.activeProfileId}|${cleaned}`, () => apiReverseLookup(cleaned, settings.activeProfileId));
+  }
+  return short ? { text: "✓", title: browser.i18n.getMessage("badgeTitleShortened", short) } : { text: "", title: "" };
+}
+
+/**
+ * Updates the toolbar badge of a tab to match its current URL.
+ * @param {object} tab - The tab.
+ */
+async function updateBadge(tab) {
+  if (!tab?.id) return;
+  let state = { text: "", title: "" };
+  try {
+    const settings = await H.getSettings();
+    if (settings.profiles.length && /^https?:\/\//i.test(tab.url || "")) state = await badgeStateFor(tab.url, settings);
+  } catch (e) {
+    console.warn("Could not update the toolbar badge.", e);
+  }
+  await browser.action.setBadgeText({ tabId: tab.id, text: state.text });
+  await browser.action.setTitle({ tabId: tab.id, title: state.title || null });
+}
+
+/**
+ * Refreshes the badge of the active tab in every window, e.g. after a link was created or deleted.
+ */
+async function refreshBadges() {
+  const tabs = await browser.tabs.query({ active: true });
+  tabs.forEach(updateBadge);
+}
+
+browser.action.setBadgeBackgroundColor({ color: "#166534" });
+
+browser.tabs.onActivated.addListener(({ tabId }) => {
+  browser.tabs.get(tabId).then(updateBadge, () => {});
+});
+
+browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url) updateBadge(tab);
+}, { properties: ["url"] });
+
+// ==========================================================================
+// CLICK TRENDS
+// When the user opts in, the click counts of watched links are snapshotted on an
+// alarm, building the time series behind the sparklines (see click-trends.js) and
+// raising click-milestone notifications (see click-milestones.js).
+// ==========================================================================
+
+const TRENDS_ALARM = "click-trends";
+// Poll a few links at a time so a long watch list doesn't flood the server.
+const TRENDS_CONCURRENCY = 2;
+
+// The running poll, `{all, promise}`, so polls don't overlap.
+let trendsPoll = null;
+
+/**
+ * Creates or removes the polling alarm according to the settings.
+ */
+async function configureTrends() {
+  const { trendsEnabled, trendsIntervalMinutes } = await H.getSettings();
+  if (!trendsEnabled) {
+    await browser.alarms.clear(TRENDS_ALARM);
+    return;
+  }
+  const period = ClickTrends.INTERVALS.includes(trendsIntervalMinutes) ? trendsIntervalMinutes : ClickTrends.DEFAULT_INTERVAL;
+  const existing = await browser.alarms.get(TRENDS_ALARM);
+  if (existing?.periodInMinutes !== period) {
+    browser.alarms.create(TRENDS_ALARM, { delayInMinutes: 1, periodInMinutes: period });
+  }
+}
+
+/**
+ * Snapshots the click counts of watched links. A poll of all links is skipped while
+ * another one runs; a poll of some links (e.g. the baseline of a newly watched link)
+ * waits for the running poll instead.
+ * @param {string[]} [urls] - The short URLs to poll; all watched links by default.
+ */
+async function pollTrends(urls) {
+  while (trendsPoll) {
+    if (!urls && trendsPoll.all) return;
+    await trendsPoll.promise.catch(() => {});
+  }
+  const promise = snapshotTrends(urls).finally(() => {
+    trendsPoll = null;
+  });
+  trendsPoll = { all: !urls, promise };
+  return promise;
+}
+
+/**
+ * Polls the click counts of watched links and records them.
+ * @param {string[]} [urls] - The short URLs to poll; all watched links by default.
+ */
+async function snapshotTrends(urls) {
+  const trends = await ClickTrends.all();
+  const due = Object.entries(trends).filter(([url]) => !urls || urls.includes(url));
+  const snapshots = {};
+  let locked = false;
+  await H.mapLimit(due, TRENDS_CONCURRENCY, async ([url, series]) => {
+    // The credentials can't be used until the vault is unlocked.
+    if (locked) return;
+    try {
+      const json = await apiStats(url, series.profileId);
+      const clicks = Number((json?.link || json?.url)?.clicks);
+      if (Number.isFinite(clicks)) snapshots[url] = clicks;
     } catch (e) {
-      console.warn("Could not parse link for cleaning, falling back.", e);
+      if (e?.locked) locked = true;
+      else console.warn(`Could not poll the clicks of ${url}.`, e);
     }
-    return link;
+  });
+  await recordClicks(snapshots);
+}
+
+/**
+ * Records fresh click counts of watched links and raises a notification for every link
+ * that crossed one of its click milestones (see click-milestones.js).
+ * @param {object} snapshots - Short URL -> current click count.
+ */
+async function recordClicks(snapshots) {
+  const settings = await H.getSettings();
+  const quiet = { quietStart: settings.milestoneQuietStart, quietEnd: settings.milestoneQuietEnd };
+  const reached = [];
+  await ClickTrends.record(snapshots, (shortUrl, series, clicks) => {
+    if (!series.alerts) return;
+    const alerts = ClickMilestones.normalize(series.alerts);
+    // While notifications are off, only follow the count so they don't fire for old clicks later.
+    const hit = settings.milestonesEnabled ? ClickMilestones.check(alerts, clicks, quiet) : null;
+    if (!settings.milestonesEnabled) alerts.baseline = clicks;
+    series.alerts = alerts;
+    if (hit) reached.push({ shortUrl, profileId: series.profileId, clicks, ...hit });
+  });
+  for (const link of reached) {
+    const message = link.milestone
+      ? browser.i18n.getMessage("toastMilestoneReached", [link.shortUrl, link.milestone.toLocaleString()])
+      : browser.i18n.getMessage("toastNewClicks", [link.shortUrl, String(link.newClicks), link.clicks.toLocaleString()]);
+    const id = await toast(browser.i18n.getMessage("toastMilestoneTitle"), message + "\n" + browser.i18n.getMessage("toastClickForDetails"));
+    silentLinks.set(id, { shortUrl: link.shortUrl, profileId: link.profileId, command: "" });
   }
+}
+
+/**
+ * Sets the click-milestone alerts of a watched link.
+ * @param {string} shortUrl - The short URL.
+ * @param {object|null} alerts - The thresholds, "any click" flag and quiet hours, or null to turn alerts off.
+ * @returns {Promise<object>} The updated series.
+ */
+async function setMilestones(shortUrl, alerts) {
+  if (!await ClickTrends.get(shortUrl)) throw new Error(browser.i18n.getMessage("errorMilestonesNotWatched"));
+  // A new baseline is taken at the next snapshot, so past thresholds don't fire.
+  await ClickTrends.setAlerts(shortUrl, alerts ? { ...ClickMilestones.normalize(alerts), baseline: null } : null);
+  await pollTrends([shortUrl]);
+  return ClickTrends.get(shortUrl);
+}
 
-  // 2. Fall back to selected text, trying to find a URL within it.
-  if (info && info.selectionText) {
-    const match = info.selectionText.match(/https?:\/\/\S+/);
-    if (match) return match[0];
+/**
+ * Starts or stops watching a link. A new watch is snapshotted right away.
+ * @param {string} shortUrl - The short URL.
+ * @param {string} [profileId] - The profile the link belongs to.
+ * @param {boolean} watch - Whether to watch the link.
+ * @returns {Promise<object>} The series, or null after unwatching.
+ */
+async function setWatched(shortUrl, profileId, watch) {
+  if (!watch) {
+    await ClickTrends.unwatch(shortUrl);
+    return null;
   }
+  const { profile } = await resolveProfile(profileId);
+  await ClickTrends.watch(shortUrl, profile.id);
+  const { milestonesEnabled, milestoneThresholds } = await H.getSettings();
+  if (milestonesEnabled) await ClickTrends.setAlerts(shortUrl, ClickMilestones.normalize({ thresholds: milestoneThresholds }));
+  await pollTrends([shortUrl]);
+  return ClickTrends.get(shortUrl);
+}
+
+// ==========================================================================
+// ADDRESS BAR (OMNIBOX)
+// Typing "kurl" and a space in the address bar hands the rest of the input to us:
+// a URL is shortened and copied, "stats <keyword>" shows a link's stats, and anything
+// else is looked up among the keywords, titles and URLs of the local history.
+// ==========================================================================
+
+/** The most history matches offered in the address bar dropdown. */
+const OMNIBOX_MAX_SUGGESTIONS = 6;
+
+/**
+ * Parses the address bar input.
+ * @param {string} text - The text typed after the keyword.
+ * @returns {{kind: "url"|"stats"|"link", term: string}} What to do with the input: shorten
+ *   a URL, show the stats of a link, or find and copy a link.
+ */
+function parseOmniboxInput(text) {
+  const input = text.trim();
+  const stats = input.match(/^stats\s+(.+)$/i);
+  if (stats) return { kind: "stats", term: stats[1].trim() };
+  if (/^https?:\/\//i.test(input)) return { kind: "url", term: input };
+  // A bare domain ("example.com/page"); keywords can't contain dots.
+  if (/^[^\s/]+\.[a-z]{2,}(\/\S*)?$/i.test(input)) return { kind: "url", term: `https://${input}` };
+  return { kind: "link", term: input };
+}
 
-  // 3. Finally, use the active tab's URL (for toolbar clicks or page context menu).
-  if (tab && tab.url && !tab.url.startsWith('about:')) {
-    return tab.url;
+/**
+ * Finds history entries matching a search term, best matches (by keyword) first.
+ * @param {string} term - The keyword, short URL or part of a title or URL.
+ * @returns {Promise<object[]>} At most `OMNIBOX_MAX_SUGGESTIONS` entries.
+ */
+async function searchHistory(term) {
+  const q = term.toLowerCase();
+  if (!q) return [];
+  const rank = (e) => (e.keyword || "").toLowerCase() === q || e.shortUrl === term ? 0
+    : (e.keyword || "").toLowerCase().startsWith(q) ? 1
+    : 2;
+  const matches = (await LinkHistory.list()).filter(e =>
+    [e.keyword, e.shortUrl, e.title, e.longUrl].some(v => String(v || "").toLowerCase().includes(q)));
+  return matches.sort((a, b) => rank(a) - rank(b)).slice(0, OMNIBOX_MAX_SUGGESTIONS);
+}
+
+/**
+ * Resolves a keyword or short URL typed in the address bar to a link of ours.
+ * @param {string} term - A keyword or short URL.
+ * @returns {Promise<{shortUrl: string, profileId: string, known: boolean}|null>} The link,
+ *   whether it is in the history, or null if no profile is configured.
+ */
+async function resolveOmniboxLink(term) {
+  const settings = await H.getSettings();
+  const entry = (await LinkHistory.list()).find(e => e.shortUrl === term || e.keyword === term);
+  if (entry) return { shortUrl: entry.shortUrl, profileId: entry.profileId, known: true };
+  const owner = H.findProfileForUrl(settings.profiles, term);
+  if (owner) return { shortUrl: term, profileId: owner.id, known: false };
+  const base = H.sanitizeBaseUrl(settings.yourlsUrl);
+  return base ? { shortUrl: `${base}/${encodeURIComponent(term)}`, profileId: settings.activeProfileId, known: false } : null;
+}
+
+/**
+ * Offers history matches while the user types, and describes what Enter will do.
+ * @param {string} text - The text typed after the keyword.
+ * @param {function(object[]): void} suggest - Passes the suggestions to the dropdown.
+ */
+async function suggestOmnibox(text, suggest) {
+  const { kind, term } = parseOmniboxInput(text);
+  const key = !term ? "omniboxDefault"
+    : kind === "url" ? "omniboxShorten"
+    : kind === "stats" ? "omniboxStats"
+    : "omniboxCopy";
+  browser.omnibox.setDefaultSuggestion({ description: browser.i18n.getMessage(key, term) });
+  if (kind === "url") return suggest([]);
+  const entries = await searchHistory(term);
+  suggest(entries.map(e => ({
+    content: kind === "stats" ? `stats ${e.shortUrl}` : e.shortUrl,
+    description: browser.i18n.getMessage(kind === "stats" ? "omniboxSuggestStats" : "omniboxSuggestLink",
+      [e.shortUrl, e.title || e.longUrl || ""])
+  })));
+}
+
+/**
+ * Carries out the address bar input: shortens and copies a URL, copies a known link,
+ * or shows the stats of a link (also of a keyword that isn't in the history, so the
+ * server can tell whether it exists).
+ * @param {string} text - The text typed after the keyword, or the chosen suggestion.
+ */
+async function handleOmnibox(text) {
+  const { kind, term } = parseOmniboxInput(text);
+  if (!term) return;
+  // Shortening and copying works like the quick mode of the context menu.
+  if (kind === "url") return shortenSilently(null, { linkUrl: term }, undefined, { forceCopy: true });
+  const link = await resolveOmniboxLink(term);
+  if (!link) return toast(browser.i18n.getMessage("extensionName"), browser.i18n.getMessage("errorNoSettings"));
+  if (kind === "link" && link.known) return shortenSilently(null, { linkUrl: link.shortUrl }, undefined, { forceCopy: true });
+  openLinkWindow({ shortUrl: link.shortUrl, profileId: link.profileId, command: "" });
+}
+
+// ==========================================================================
+// ADD-ON INTEGRATION & EVENT LISTENERS
+// These functions connect the API logic to the browser UI.
+// ==========================================================================
+
+/**
+ * Intelligently determines which URL to shorten based on the user's action.
+ * It unwraps known redirect links (recursively) to get the true destination URL.
+ * @param {object} [info] - The context menu info object, if the action originated from a context menu.
+ * @param {object} [tab] - The active tab object.
+ * @returns {Promise<string>} The clean URL to be shortened.
+ */
+async function getUrlForAction(info, tab) {
+  let url = '';
+
+  if (info && info.linkUrl) {
+    // 1. Prioritize a link from a context menu click.
+    url = info.linkUrl;
+  } else if (info && info.selectionText && /https?:\/\/\S+/.test(info.selectionText)) {
+    // 2. Fall back to selected text, trying to find a URL within it.
+    url = info.selectionText.match(/https?:\/\/\S+/)[0];
+  } else if (tab && tab.url && !tab.url.startsWith('about:')) {
+    // 3. Finally, use the active tab's URL (for toolbar clicks or page context menu).
+    url = tab.url;
   }
+  if (!url) return '';
 
-  return '';
+  // Clean the URL using the user's redirect rules.
+  try {
+    const { redirectRules } = await H.getSettings();
+    url = UrlCleaner.unwrap(url, redirectRules).url;
+  } catch (e) {
+    console.warn("Could not parse link for cleaning, falling back.", e);
+  }
+  return url;
 }
 
 /**
- * The main handler for all user entry points (toolbar icon, context menu).
+ * The main handler for all user entry points (toolbar icon, context menu, keyboard commands).
  * It determines the correct URL, passes it to the popup, and opens the popup.
  * @param {object} tab - The tab where the action was triggered.
  * @param {object} [info] - Optional context menu data.
+ * @param {string} [profileId] - The profile explicitly chosen via the "Shorten with…" menu.
+ * @param {string} [command] - What the popup should do right away: `qr` (shorten and show
+ *   the QR code) or `stats` (show the statistics of the page's short link). Link windows
+ *   (see `openLinkWindow()`) also use `undo` (show the QR code and an Undo button).
  */
-async function handleAction(tab, info) {
+async function handleAction(tab, info, profileId, command) {
   // Open the popup immediately to ensure the browser honors the user action.
   browser.action.openPopup();
 
+  // Older Firefox versions don't pass the tab to keyboard commands.
+  if (!tab) [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+
   // Then, determine and store the URL for the popup to use when it loads.
   const urlToShorten = await getUrlForAction(info, tab);
-  await browser.storage.local.remove(["yourls_prefill_long", "yourls_prefill_short"]);
+  await browser.storage.local.remove(["yourls_prefill_long", "yourls_prefill_short", "yourls_prefill_profile", "yourls_prefill_command"]);
 
   if (urlToShorten) {
-    const { yourlsUrl } = await H.getSettings();
-    const base = H.sanitizeBaseUrl(yourlsUrl);
+    const settings = await H.getSettings();
     // Differentiate between a long URL to shorten and an existing short URL to manage.
-    if (base && urlToShorten.startsWith(base)) {
-      await browser.storage.local.set({ yourls_prefill_short: urlToShorten });
+    const owner = H.findProfileForUrl(settings.profiles, urlToShorten);
+    // For statistics, a long URL is resolved to the short link created for it earlier.
+    const known = !owner && command === "stats" ? await findHistoryEntry(urlToShorten, settings) : null;
+    if (owner) {
+      await browser.storage.local.set({ yourls_prefill_short: urlToShorten, yourls_prefill_profile: owner.id });
+    } else if (known) {
+      await browser.storage.local.set({ yourls_prefill_short: known.shortUrl, yourls_prefill_profile: known.profileId });
     } else {
       await browser.storage.local.set({ yourls_prefill_long: urlToShorten });
     }
   }
+  if (profileId) {
+    await browser.storage.local.set({ yourls_prefill_profile: profileId });
+  }
+  if (command) {
+    await browser.storage.local.set({ yourls_prefill_command: command });
+  }
+}
+
+/**
+ * Looks up the most recent local history entry for a long URL, as entered or as cleaned.
+ * @param {string} url - The long URL.
+ * @param {object} settings - The user's settings, used to clean the URL.
+ * @returns {Promise<object|null>} The history entry, or null if the URL was never shortened.
+ */
+async function findHistoryEntry(url, settings) {
+  const cleaned = UrlCleaner.clean(url, settings).url;
+  const entries = await LinkHistory.list();
+  return entries.find(e => e.longUrl === url || e.longUrl === cleaned) || null;
+}
+
+/**
+ * Shortens a URL without opening the popup and reports the result as a notification.
+ * Clicking the notification opens the link in a popup window with its QR code and, for
+ * a new link, an Undo button that deletes it again.
+ * @param {object} [tab] - The tab where the action was triggered; defaults to the active tab.
+ * @param {object} [info] - Optional context menu data.
+ * @param {string} [profileId] - The profile explicitly chosen via the "Shorten with…" menu.
+ * @param {object} [options]
+ * @param {boolean} [options.forceCopy=false] - Copy the link even if "autoCopy" is disabled (quick mode).
+ */
+async function shortenSilently(tab, info, profileId, { forceCopy = false } = {}) {
+  const name = browser.i18n.getMessage("extensionName");
+  try {
+    if (!tab) [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+    const url = await getUrlForAction(info, tab);
+    if (!/^https?:\/\//i.test(url)) return toast(name, browser.i18n.getMessage("toastNoUrl"));
+
+    const global = await H.getSettings();
+    const owner = H.findProfileForUrl(global.profiles, url);
+    // The defaults of the profile the link belongs to, or is created on, apply.
+    const settings = H.settingsForProfile(global, owner || await H.getProfile(profileId));
+    let link = { shortUrl: url, profileId: owner?.id, already: true };
+    // A short link of one of our instances is copied as it is.
+    if (!owner) {
+      // Use the link text for links, the page title for pages, and no title for selected URLs.
+      const title = info?.linkUrl ? (info.linkText || "") : info?.selectionText ? "" : (tab?.title || "");
+      const longUrl = UrlCleaner.clean(url, settings).url;
+      const r = await shortenOrQueue(longUrl, "", title, profileId);
+      if (r.queued) return toast(name, r.reason);
+      link = { shortUrl: r.shortUrl, longUrl, title, profileId: (await H.getProfile(profileId))?.id, already: r.already };
+    }
+
+    const copy = forceCopy || settings.autoCopy;
+    if (copy) await CopyFormats.copy(settings.copyFormat, link, settings.copyTemplates);
+    const key = link.already
+      ? (copy ? "toastExistingCopied" : "toastExistingLink")
+      : (copy ? "toastCreatedCopied" : "toastCreatedLink");
+    // Only a link created just now can be undone; an existing one may be used elsewhere.
+    const hint = link.already ? "toastClickForQr" : "toastClickForActions";
+    const id = await toast(name, browser.i18n.getMessage(key, link.shortUrl) + "\n" + browser.i18n.getMessage(hint));
+    silentLinks.set(id, { ...link, command: link.already ? "qr" : "undo" });
+  } catch (e) {
+    toast(name, String(e?.message || e));
+  }
+}
+
+/**
+ * Shows where one of our short links points (target, title and clicks) as a
+ * notification, so it can be checked before opening or sharing it.
+ * @param {string} url - The short URL to expand.
+ */
+async function expandLink(url) {
+  const name = browser.i18n.getMessage("extensionName");
+  try {
+    const { profiles } = await H.getSettings();
+    const owner = H.findProfileForUrl(profiles, url);
+    if (!owner) return toast(name, browser.i18n.getMessage("toastNotOwnShortUrl"));
+
+    const data = await apiExpand(url, owner.id);
+    // The expand action has no click count; it's nice to have, but not essential.
+    const stats = await apiStats(url, owner.id).catch(() => null);
+    const clicks = stats?.link?.clicks ?? "?";
+    const id = await toast(
+      data.shorturl || url,
+      browser.i18n.getMessage("toastExpandResult", [data.longurl, data.title || "–", String(clicks)]) + "\n" + browser.i18n.getMessage("toastClickForDetails")
+    );
+    silentLinks.set(id, { shortUrl: data.shorturl || url, profileId: owner.id, command: "" });
+  } catch (e) {
+    toast(name, String(e?.message || e));
+  }
+}
+
+/** Links reported by `shortenSilently()`, `expandLink()` and `recordClicks()`, by the ID of their notification. */
+const silentLinks = new Map();
+
+/**
+ * Opens the popup in a small window to manage a link reported by a notification.
+ * (Browser action popups can't be opened from a notification click.)
+ * @param {{shortUrl: string, profileId: string, command: string}} link - The link to manage,
+ *   and what the popup should do right away (see `handleAction()`).
+ */
+async function openLinkWindow(link) {
+  await browser.storage.local.set({
+    yourls_prefill_short: link.shortUrl,
+    yourls_prefill_profile: link.profileId || "",
+    yourls_prefill_command: link.command || ""
+  });
+  await browser.windows.create({ url: browser.runtime.getURL("popup.html"), type: "popup", width: 420, height: 640 });
 }
 
 /**
@@ -256,29 +1052,150 @@ async function handleAction(tab, info) {
 browser.runtime.onMessage.addListener(async (msg) => {
   try {
     switch (msg.type) {
-      case "CHECK_CONNECTION": return await apiCheck();
-      case "SHORTEN_URL": return await apiShorten(msg.longUrl, msg.keyword || "", msg.title || "");
-      case "GET_STATS": return { ok: true, data: await apiStats(msg.shortUrl) };
-      case "DELETE_SHORTURL": return await apiDelete(msg.shortUrl);
-      case "GET_DB_STATS": return { ok: true, data: await apiDbStats() };
+      case "CHECK_CONNECTION": return await apiCheck(msg.profileId, msg.profile);
+      case "SHORTEN_URL":
+        // Batch callers (quiet) handle failures themselves; single requests are queued when offline.
+        return msg.quiet
+          ? await apiShorten(msg.longUrl, msg.keyword || "", msg.title || "", msg.profileId, { quiet: true })
+          : await shortenOrQueue(msg.longUrl, msg.keyword || "", msg.title || "", msg.profileId);
+      case "GET_STATS": {
+        const data = await apiStats(msg.shortUrl, msg.profileId);
+        // A fresh count of a watched link is a free snapshot.
+        const link = data?.link || data?.url;
+        if (link?.shorturl) await recordClicks({ [link.shorturl]: Number(link.clicks) });
+        return { ok: true, data };
+      }
+      case "WATCH_LINK": return { ok: true, series: await setWatched(msg.shortUrl, msg.profileId, msg.watch !== false) };
+      case "SET_MILESTONES": return { ok: true, series: await setMilestones(msg.shortUrl, msg.alerts || null) };
+      case "DELETE_SHORTURL": return await apiDelete(msg.shortUrl, msg.profileId);
+      case "CHECK_KEYWORD": return { ok: true, available: await apiKeywordAvailable(msg.keyword, msg.profileId) };
+      case "DETECT_EDIT": return { ok: true, supported: await apiDetectEdit(msg.profileId) };
+      case "EDIT_SHORTURL": return await apiEdit(msg.shortUrl, msg.changes || {}, msg.profileId);
+      case "GET_DB_STATS": return { ok: true, data: await apiDbStats(msg.profileId, msg.filter, msg.limit, msg.start) };
+      case "SHORTEN_ALL_TABS": return { ok: true, batch: await shortenAllTabs(msg.windowId, msg.profileId) };
+      case "GET_BATCH_STATUS": return { ok: true, batch };
+      case "GET_QUEUE": return { ok: true, queue: await ShortenQueue.list() };
+      case "RETRY_QUEUE": {
+        const ids = msg.id ? [msg.id] : (await ShortenQueue.list()).map(e => e.id);
+        await processQueue(ids);
+        return { ok: true };
+      }
+      case "DISCARD_QUEUED":
+        await ShortenQueue.remove(msg.id);
+        return { ok: true };
+      case "CLEAR_HISTORY":
+        await LinkHistory.clear();
+        return { ok: true };
+      case "CANCEL_REQUESTS":
+        inflightRequests.forEach(controller => controller.abort());
+        return { ok: true };
+      case "CLEAR_BATCH":
+        if (!batch?.running) batch = null;
+        return { ok: true };
       default: return { ok: false, reason: "Unknown message type" };
     }
   } catch (e) {
-    const message = String(e?.message || e);
-    // Provide more user-friendly error messages for common API responses.
-    if (/keyword.*already exists/i.test(message)) {
-      return { ok: false, reason: browser.i18n.getMessage("errorKeywordExists") };
-    }
-    return { ok: false, reason: message };
+    return errorReply(e);
   }
 });
 
+/**
+ * Turns an error into a reply of the message hub. Classified errors carry their
+ * category as `code` (see `requestError()`), so the popup can offer a way to recover.
+ * @param {Error} e - The error.
+ * @returns {{ok: false, reason: string, code?: string, origin?: string}}
+ */
+function errorReply(e) {
+  const message = String(e?.message || e);
+  if (e?.code) return { ok: false, reason: message, code: e.code, origin: e.origin };
+  // Provide more user-friendly error messages for common API responses.
+  if (/keyword.*already exists/i.test(message)) {
+    return { ok: false, reason: browser.i18n.getMessage("errorKeywordExists"), code: "keywordTaken" };
+  }
+  return { ok: false, reason: message };
+}
+
+// Retry queued shorten requests as soon as the browser is back online.
+window.addEventListener("online", () => processQueue());
+
+// Snapshot the clicks of watched links on every tick of the polling alarm.
+browser.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === TRENDS_ALARM) pollTrends();
+});
+
 // Listen for clicks on the main toolbar icon.
 browser.action.onClicked.addListener(handleAction);
 
 // Listen for clicks on any of our context menu items.
 browser.menus.onClicked.addListener((info, tab) => {
-  handleAction(tab, info);
+  const id = String(info.menuItemId);
+  if (id === "yourls-expand-link") {
+    expandLink(info.linkUrl);
+    return;
+  }
+  if (id === "yourls-shorten-all-tabs") {
+    // Open the popup so the per-tab progress is visible.
+    browser.action.openPopup();
+    shortenAllTabs(tab.windowId).catch(e => toast(browser.i18n.getMessage("extensionName"), String(e?.message || e)));
+    return;
+  }
+  const profileId = id.startsWith(PROFILE_MENU_PREFIX) ? id.slice(PROFILE_MENU_PREFIX.length) : undefined;
+  if (quickMode) shortenSilently(tab, info, profileId, { forceCopy: true });
+  else handleAction(tab, info, profileId);
+});
+
+// Clicking the notification of a silently created link lets the user undo it or show its QR code;
+// for an expanded link or a click milestone, it shows the link's stats.
+browser.notifications.onClicked.addListener((notificationId) => {
+  const link = silentLinks.get(notificationId);
+  if (!link) return;
+  silentLinks.delete(notificationId);
+  browser.notifications.clear(notificationId);
+  openLinkWindow(link);
+});
+
+browser.notifications.onClosed.addListener((notificationId) => {
+  silentLinks.delete(notificationId);
+});
+
+// Listen for input after the "kurl" keyword in the address bar.
+browser.omnibox.onInputStarted.addListener(() => {
+  browser.omnibox.setDefaultSuggestion({ description: browser.i18n.getMessage("omniboxDefault") });
+});
+browser.omnibox.onInputChanged.addListener((text, suggest) => {
+  suggestOmnibox(text, suggest).catch(e => console.warn("Could not suggest links.", e));
+});
+browser.omnibox.onInputEntered.addListener((text) => handleOmnibox(text));
+
+// Listen for the keyboard commands declared in manifest.json (rebindable on the options page).
+// `_execute_action` (open the popup) is handled by the browser itself.
+browser.commands.onCommand.addListener((command, tab) => {
+  switch (command) {
+    case "shorten-copy": return shortenSilently(tab);
+    case "shorten-qr": return handleAction(tab, null, undefined, "qr");
+    case "open-stats": return handleAction(tab, null, undefined, "stats");
+  }
+});
+
+// Rebuild the "Shorten with…" submenu whenever the list of profiles changes.
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.profiles) setupMenus();
+  if (area === "local" && changes.quickMode) quickMode = changes.quickMode.newValue === true;
+  if (area === "local" && (changes.trendsEnabled || changes.trendsIntervalMinutes)) configureTrends();
+  // A link was created, edited or deleted: the badge (and its cached lookups) may be stale.
+  if (area === "local" && (changes.linkHistory || changes.badgeServerLookup)) {
+    badgeCache.clear();
+    refreshBadges();
+  }
+  // Mirror the configuration to and from Firefox Sync, if the user opted in.
+  if (area === "local" && SettingsSync.touches(changes)) SettingsSync.schedulePush();
+  if (area === "sync") SettingsSync.pull().catch(e => console.warn("Could not apply synced settings.", e));
+  // The vault was unlocked: send what had to wait for the credentials.
+  if (area === "session" && changes[Vault.SESSION_KEY]?.newValue && !changes[Vault.SESSION_KEY].oldValue) {
+    processQueue();
+    badgeCache.clear();
+    refreshBadges();
+  }
 });
 
 
@@ -286,11 +1203,22 @@ browser.menus.onClicked.addListener((info, tab) => {
 // SETUP & UTILITY FUNCTIONS
 // ==========================================================================
 
+/** Menu item ID prefix for the per-profile "Shorten with…" entries. */
+const PROFILE_MENU_PREFIX = "yourls-profile:";
+
+/**
+ * Whether the context menu items shorten and copy right away instead of opening the popup.
+ * Cached here because the popup can only be opened synchronously from the click handler.
+ */
+let quickMode = false;
+H.getSettings().then(s => { quickMode = s.quickMode; });
+
 /**
  * Creates the right-click context menu items when the extension is installed or started.
+ * When more than one profile is configured, a "Shorten with…" submenu lists each of them.
  */
 function setupMenus() {
-  browser.menus.removeAll(() => {
+  browser.menus.removeAll(async () => {
     browser.menus.create({
       id: "yourls-shorten-page",
       title: browser.i18n.getMessage("menuItemShortenPage"),
@@ -306,16 +1234,63 @@ function setupMenus() {
       title: browser.i18n.getMessage("menuItemShortenLink"),
                          contexts: ["link"]
     });
+    browser.menus.create({
+      id: "yourls-shorten-all-tabs",
+      title: browser.i18n.getMessage("menuItemShortenAllTabs"),
+                         contexts: ["tab"]
+    });
+
+    const { profiles } = await H.getSettings();
+    // Only offer "Expand" on links that point to one of our instances.
+    const patterns = profiles.map(p => shortUrlPattern(p.yourlsUrl)).filter(Boolean);
+    if (patterns.length) {
+      browser.menus.create({
+        id: "yourls-expand-link",
+        title: browser.i18n.getMessage("menuItemExpandLink"),
+                           contexts: ["link"],
+                           targetUrlPatterns: patterns
+      });
+    }
+
+    if (profiles.length < 2) return;
+    browser.menus.create({
+      id: "yourls-shorten-with",
+      title: browser.i18n.getMessage("menuItemShortenWith"),
+                         contexts: ["page", "link", "selection"]
+    });
+    for (const profile of profiles) {
+      browser.menus.create({
+        id: PROFILE_MENU_PREFIX + profile.id,
+        parentId: "yourls-shorten-with",
+        title: H.profileLabel(profile),
+                           contexts: ["page", "link", "selection"]
+      });
+    }
   });
 }
 
+/**
+ * Builds a match pattern covering the short URLs of a YOURLS instance.
+ * @param {string} yourlsUrl - The base URL of the instance.
+ * @returns {string|null} The pattern (e.g. `https://sho.rt/*`), or null for an invalid URL.
+ */
+function shortUrlPattern(yourlsUrl) {
+  try {
+    const u = new URL(H.sanitizeBaseUrl(yourlsUrl));
+    return `${u.protocol}//${u.hostname}${u.pathname.replace(/\/$/, "")}/*`;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Shows a brief, non-intrusive browser notification.
  * @param {string} title - The title of the notification.
  * @param {string} message - The body text of the notification.
+ * @returns {Promise<string>} The ID of the notification.
  */
 function toast(title, message) {
-  browser.notifications.create({
+  return browser.notifications.create({
     type: "basic",
     title,
     message,
@@ -323,35 +1298,226 @@ function toast(title, message) {
   });
 }
 
+/** How long to wait for the YOURLS server before a request is aborted. */
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+/** How often idempotent requests (stats, connection checks) are retried. */
+const RETRY_ATTEMPTS = 2;
+/** The delay before the first retry; it doubles with every further attempt. */
+const RETRY_BASE_DELAY_MS = 1000;
+
+/** Abort controllers of the requests in flight, so they can be cancelled from the popup. */
+const inflightRequests = new Set();
+
+/**
+ * Creates an error, flagged as transient if retrying the request later may succeed
+ * (network failure, timeout, server error). The optional category tells the popup how
+ * the user can recover:
+ * - "permission": the host permission is missing (grant it; the error has the `origin`)
+ * - "settings", "auth": the profile is incomplete or its credentials were rejected (open the settings)
+ * - "locked": the master passphrase is needed (unlock)
+ * - "unreachable", "rateLimited": the server can't be reached or wants fewer requests (retry)
+ * - "badResponse": the server didn't answer like YOURLS, e.g. a wrong URL (open the settings)
+ * - "keywordTaken": the custom keyword is in use (suggest another one)
+ * - "urlBlocked": the server refuses to shorten the URL
+ * @param {string} message - The error message.
+ * @param {boolean} transient - Whether the failure is transient.
+ * @param {string} [code] - The error category.
+ * @returns {Error}
+ */
+function requestError(message, transient, code = "") {
+  const error = new Error(message);
+  error.transient = transient;
+  if (code) error.code = code;
+  return error;
+}
+
+/**
+ * Checks whether an HTTP status means the server is temporarily unable to answer.
+ * @param {number} status - The HTTP status code.
+ * @returns {boolean}
+ */
+function isTransientStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/** Server time minus local time in milliseconds, by base URL, where they clearly differ. */
+const clockOffsets = new Map();
+/** Clock differences below this are put down to latency and the `Date` header's rounding. */
+const CLOCK_SKEW_TOLERANCE_MS = 60 * 1000;
+
+/**
+ * Learns the server's clock from the `Date` header of a response, so time-limited
+ * signatures carry a timestamp the server accepts even if the local clock is off.
+ * @param {string} baseUrl - The base URL of the YOURLS instance.
+ * @param {Response} res - The API response.
+ * @returns {number} The clock offset to use from now on.
+ */
+function trackServerClock(baseUrl, res) {
+  const serverTime = Date.parse(res.headers.get("Date") || "");
+  if (Number.isFinite(serverTime)) {
+    const offset = serverTime - Date.now();
+    if (Math.abs(offset) > CLOCK_SKEW_TOLERANCE_MS) clockOffsets.set(baseUrl, offset);
+    else clockOffsets.delete(baseUrl);
+  }
+  return clockOffsets.get(baseUrl) || 0;
+}
+
+/**
+ * Checks whether YOURLS rejected the credentials of a request.
+ * @param {Response} res - The API response.
+ * @param {object|null} json - The parsed response body.
+ * @returns {boolean}
+ */
+function isAuthFailure(res, json) {
+  return res.status === 403 || Number(json?.errorCode) === 403;
+}
+
+/**
+ * Explains a rejected login in terms of the profile's authentication mode.
+ * @param {object} profile - The profile whose credentials were rejected.
+ * @param {string} baseUrl - The base URL of the YOURLS instance.
+ * @returns {string}
+ */
+function authFailureMessage(profile, baseUrl) {
+  switch (YourlsAuth.modeOf(profile)) {
+    case "password":
+      return browser.i18n.getMessage("errorAuthPassword");
+    case "timed": {
+      const hash = YourlsAuth.HASHES.includes(profile.signatureHash) ? profile.signatureHash : YourlsAuth.HASHES[0];
+      const message = browser.i18n.getMessage("errorAuthTimed", hash);
+      const offset = clockOffsets.get(baseUrl);
+      if (!offset) return message;
+      const minutes = String(Math.round(Math.abs(offset) / 60000));
+      return `${message} ${browser.i18n.getMessage("errorAuthClockSkew", minutes)}`;
+    }
+    default:
+      return browser.i18n.getMessage("errorAuthSignature");
+  }
+}
+
 /**
  * A generic, reusable fetch wrapper for making requests to the YOURLS API.
- * It handles permissions, headers, and response parsing.
+ * It handles permissions, credentials, headers, timeouts, cancellation and response parsing.
+ * Requests that are safe to repeat can be retried with exponential backoff.
  * @param {string} baseUrl - The base URL of the YOURLS instance.
  * @param {object} payload - The API parameters to be sent in the request body.
+ * @param {object} [options]
+ * @param {object} [options.profile] - The profile whose credentials authenticate the request.
+ * @param {number} [options.retries=0] - How often to retry after a transient failure.
  * @returns {Promise<{res: Response, text: string, json: object|null}>}
  */
-async function yourlsFetch(baseUrl, payload) {
+async function yourlsFetch(baseUrl, payload, { profile, retries = 0 } = {}) {
   const origin = new URL(baseUrl).origin;
   // Ensure we have permission to contact the host before making the request.
   if (!(await browser.permissions.contains({ origins: [`${origin}/*`] }))) {
-    throw new Error("Host permission was not granted.");
+    const error = requestError(browser.i18n.getMessage("errorHostPermission", origin), false, "permission");
+    error.origin = origin;
+    throw error;
   }
   const endpoint = `${baseUrl}/yourls-api.php`;
-  const params = H.toFormData(payload);
-
-  const res = await fetch(endpoint, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/x-www-form-urlencoded;charset=UTF-8",
-      "Accept": "application/json"
-    },
-    body: params
-  });
+  let clockRetried = false;
 
-  const text = await res.text().catch(() => "");
-  return { res, text, json: H.parseMaybeJson(text) };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      // Credentials are built per attempt, so a time-limited signature is always fresh.
+      const offset = clockOffsets.get(baseUrl) || 0;
+      const auth = profile ? await YourlsAuth.params(profile, offset) : {};
+      const result = await fetchOnce(endpoint, H.toFormData({ ...payload, ...auth }));
+      // A rejected timestamp is repeated once if the server's clock turned out to differ.
+      const newOffset = trackServerClock(baseUrl, result.res);
+      if (auth.timestamp && !clockRetried && isAuthFailure(result.res, result.json) &&
+          Math.abs(newOffset - offset) > CLOCK_SKEW_TOLERANCE_MS) {
+        clockRetried = true;
+        attempt--;
+        continue;
+      }
+      if (!isTransientStatus(result.res.status) || attempt >= retries) return checkResponse(result, baseUrl, profile);
+    } catch (e) {
+      if (!e.transient || attempt >= retries) throw e;
+    }
+    await new Promise(resolve => setTimeout(resolve, RETRY_BASE_DELAY_MS * 2 ** attempt));
+  }
+}
+
+/** How YOURLS' flood protection (and rate-limiting plugins) ask to slow down. */
+const RATE_LIMIT_PATTERN = /too many|too fast|slow down|rate limit/i;
+
+/**
+ * Classifies responses no API call can use: rate limiting, rejected credentials and
+ * answers that aren't YOURLS JSON (an error page, or a URL that isn't a YOURLS instance).
+ * @param {{res: Response, text: string, json: object|null}} result - The response.
+ * @param {string} baseUrl - The base URL of the YOURLS instance.
+ * @param {object} [profile] - The profile whose credentials were used.
+ * @returns {{res: Response, text: string, json: object|null}} The response, if it is usable.
+ */
+function checkResponse(result, baseUrl, profile) {
+  const { res, text, json } = result;
+  if (res.status === 429 || RATE_LIMIT_PATTERN.test(json ? String(json.message || "") : text)) {
+    throw requestError(browser.i18n.getMessage("errorRateLimited"), true, "rateLimited");
+  }
+  if (isAuthFailure(res, json)) throw requestError(authFailureMessage(profile, baseUrl), false, "auth");
+  if (!json) {
+    if (isTransientStatus(res.status)) {
+      throw requestError(browser.i18n.getMessage("errorServerUnavailable", String(res.status)), true, "unreachable");
+    }
+    throw requestError(browser.i18n.getMessage("errorBadResponse", String(res.status)), false, "badResponse");
+  }
+  return result;
+}
+
+/**
+ * Sends a single API request, aborting it after `REQUEST_TIMEOUT_MS`.
+ * @param {string} endpoint - The URL of `yourls-api.php`.
+ * @param {URLSearchParams} params - The request body.
+ * @returns {Promise<{res: Response, text: string, json: object|null}>}
+ */
+async function fetchOnce(endpoint, params) {
+  // Without a connection, fail fast instead of waiting for the timeout.
+  if (!navigator.onLine) throw requestError(browser.i18n.getMessage("errorOffline"), true, "unreachable");
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, REQUEST_TIMEOUT_MS);
+  inflightRequests.add(controller);
+
+  try {
+    const res = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded;charset=UTF-8",
+        "Accept": "application/json"
+      },
+      body: params,
+      signal: controller.signal
+    });
+    // Reading the body can stall as well, so it stays within the timeout.
+    const text = await res.text().catch(e => {
+      if (controller.signal.aborted) throw e;
+      return "";
+    });
+    return { res, text, json: H.parseMaybeJson(text) };
+  } catch (e) {
+    if (timedOut) throw requestError(browser.i18n.getMessage("errorTimeout", String(REQUEST_TIMEOUT_MS / 1000)), true, "unreachable");
+    if (e?.name === "AbortError") throw requestError(browser.i18n.getMessage("errorRequestCancelled"), false);
+    throw requestError(browser.i18n.getMessage("errorNetwork", String(e?.message || e)), true, "unreachable");
+  } finally {
+    clearTimeout(timer);
+    inflightRequests.delete(controller);
+  }
 }
 
 // Initialize the extension's context menus on install or browser startup.
 browser.runtime.onInstalled.addListener(setupMenus);
 browser.runtime.onStartup.addListener(setupMenus);
+
+// Pick up requests queued before the browser was closed or the background page was suspended.
+processQueue();
+
+// Apply settings synced from other devices while this browser was closed.
+SettingsSync.pull().catch(e => console.warn("Could not apply synced settings.", e));
+
+// Start (or stop) polling the clicks of watched links.
+configureTrends();
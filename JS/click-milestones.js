@@ -0,0 +1,117 @@
+/**
+ * @file click-milestones.js
+ * @description Click-milestone alerts for watched links. Each watched link (see
+ * click-trends.js) can carry `alerts`: click thresholds such as 100 or 1,000, whether
+ * every new click counts, and its own quiet hours. Whenever the background script
+ * records a fresh click count, `check()` reports what was crossed since the last alert.
+ *
+ * Alerts that fall into quiet hours aren't dropped: the baseline stays where it was, so
+ * the next check after the quiet hours reports everything that was crossed meanwhile.
+ * Like helpers.js, this module is an IIFE exposing its API on `window.ClickMilestones`.
+ */
+
+window.ClickMilestones = (function() {
+  /** The default thresholds for newly watched links. */
+  const DEFAULT_THRESHOLDS = [100, 1000, 10000];
+  /** The most thresholds a link can have. */
+  const MAX_THRESHOLDS = 20;
+
+  const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+  /**
+   * Parses a list of thresholds as typed by the user, e.g. "100, 1,000 5000". Both
+   * commas and spaces separate values; a comma followed by three digits is read as a
+   * thousands separator.
+   * @param {string} text
+   * @returns {number[]} Unique positive integers, ascending.
+   */
+  function parseThresholds(text) {
+    const values = String(text || "")
+      .replace(/(\d),(?=\d{3}\b)/g, "$1")
+      .split(/[\s,;]+/)
+      .map(Number)
+      .filter(n => Number.isInteger(n) && n > 0);
+    return [...new Set(values)].sort((a, b) => a - b).slice(0, MAX_THRESHOLDS);
+  }
+
+  /**
+   * Formats thresholds for an input field.
+   * @param {number[]} thresholds
+   * @returns {string}
+   */
+  function formatThresholds(thresholds) {
+    return (thresholds || []).join(", ");
+  }
+
+  /**
+   * Normalizes the alert settings of a link.
+   * @param {object} [alerts] - The stored or entered settings.
+   * @returns {{thresholds: number[], anyClick: boolean, quietStart: string, quietEnd: string, baseline: number|null}}
+   */
+  function normalize(alerts) {
+    const thresholds = Array.isArray(alerts?.thresholds) ? alerts.thresholds : parseThresholds(alerts?.thresholds);
+    return {
+      thresholds: parseThresholds(thresholds.join(" ")),
+      anyClick: alerts?.anyClick === true,
+      quietStart: TIME_PATTERN.test(alerts?.quietStart || "") ? alerts.quietStart : "",
+      quietEnd: TIME_PATTERN.test(alerts?.quietEnd || "") ? alerts.quietEnd : "",
+      baseline: Number.isFinite(alerts?.baseline) ? alerts.baseline : null
+    };
+  }
+
+  /**
+   * Tells whether a time falls into quiet hours. The range may span midnight
+   * (e.g. 22:00–07:00); an empty or zero-length range is never quiet.
+   * @param {string} start - The start as "HH:MM", local time.
+   * @param {string} end - The end as "HH:MM", exclusive.
+   * @param {Date} [date=new Date()]
+   * @returns {boolean}
+   */
+  function isQuiet(start, end, date = new Date()) {
+    const from = TIME_PATTERN.exec(start || "");
+    const to = TIME_PATTERN.exec(end || "");
+    if (!from || !to) return false;
+    const a = Number(from[1]) * 60 + Number(from[2]);
+    const b = Number(to[1]) * 60 + Number(to[2]);
+    const now = date.getHours() * 60 + date.getMinutes();
+    if (a === b) return false;
+    return a < b ? now >= a && now < b : now >= a || now < b;
+  }
+
+  /**
+   * Checks a fresh click count against the alerts of a link and moves the baseline on,
+   * unless it is quiet. The first count only sets the baseline, so thresholds the link
+   * had passed before it was watched don't fire.
+   * @param {object} alerts - The alert settings of the link; its `baseline` is updated.
+   * @param {number} clicks - The current click count.
+   * @param {{quietStart: string, quietEnd: string}} global - The global quiet hours.
+   * @param {Date} [date=new Date()]
+   * @returns {{milestone: number|null, newClicks: number}|null} What to report: the
+   *   highest threshold crossed and the clicks since the last alert, or null.
+   */
+  function check(alerts, clicks, global, date = new Date()) {
+    const from = alerts.baseline;
+    // A reset or recreated link starts over.
+    if (from === null || clicks < from) {
+      alerts.baseline = clicks;
+      return null;
+    }
+    if (clicks === from) return null;
+    if (isQuiet(global?.quietStart, global?.quietEnd, date) || isQuiet(alerts.quietStart, alerts.quietEnd, date)) return null;
+
+    const crossed = alerts.thresholds.filter(t => t > from && t <= clicks);
+    alerts.baseline = clicks;
+    if (!crossed.length && !alerts.anyClick) return null;
+    return { milestone: crossed.length ? crossed[crossed.length - 1] : null, newClicks: clicks - from };
+  }
+
+  return {
+    DEFAULT_THRESHOLDS,
+    MAX_THRESHOLDS,
+    parseThresholds,
+    formatThresholds,
+    normalize,
+    isQuiet,
+    check
+  };
+})();
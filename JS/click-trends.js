@@ -0,0 +1,262 @@
+/**
+ * @file click-trends.js
+ * @description Click-count time series of the links the user watches. The background
+ * script snapshots the `url-stats` clicks of every watched link periodically (see the
+ * CLICK TRENDS section of background.js); the pages read the series to draw sparklines
+ * and the growth over the last 24 hours and 7 days.
+ *
+ * In `browser.storage.local`, `clickTrends` maps each watched short URL to
+ * `{profileId, points, alerts}`, where `points` is a list of `[time, clicks]` pairs, oldest
+ * first, and the optional `alerts` are the link's click milestones (see click-milestones.js).
+ * Like helpers.js, this module is an IIFE exposing its API on `window.ClickTrends`.
+ */
+
+window.ClickTrends = (function() {
+  const STORAGE_KEY = "clickTrends";
+  const HOUR_MS = 60 * 60 * 1000;
+  const DAY_MS = 24 * HOUR_MS;
+  // Every snapshot of the last two days is kept; older ones are thinned out to
+  // one per day, and anything older than 90 days is dropped.
+  const FULL_RESOLUTION_MS = 2 * DAY_MS;
+  const MAX_AGE_MS = 90 * DAY_MS;
+  /** The most links that can be watched at the same time, to bound the polling. */
+  const MAX_WATCHED = 100;
+  /** The default and allowed polling intervals in minutes. */
+  const INTERVALS = [15, 60, 360, 1440];
+  const DEFAULT_INTERVAL = 60;
+  // Writes read all series and store them back, so they run one at a time.
+  const exclusive = window.Helpers.createLock();
+
+  /**
+   * Reads all series.
+   * @returns {Promise<object>} Short URL -> `{profileId, points}`.
+   */
+  async function all() {
+    const o = await browser.storage.local.get({ [STORAGE_KEY]: {} });
+    const trends = o[STORAGE_KEY];
+    return trends && typeof trends === "object" && !Array.isArray(trends) ? trends : {};
+  }
+
+  /**
+   * Reads the series of a short URL.
+   * @param {string} shortUrl
+   * @returns {Promise<{profileId: string, points: number[][]}|null>} The series, or null if the link isn't watched.
+   */
+  async function get(shortUrl) {
+    return (await all())[shortUrl] || null;
+  }
+
+  /**
+   * Starts watching a link.
+   * @param {string} shortUrl - The short URL to watch.
+   * @param {string} profileId - The profile the link belongs to.
+   * @throws {Error} If `MAX_WATCHED` links are watched already.
+   */
+  function watch(shortUrl, profileId) {
+    return exclusive(async () => {
+      const trends = await all();
+      if (trends[shortUrl]) return;
+      if (Object.keys(trends).length >= MAX_WATCHED) {
+        throw new Error(browser.i18n.getMessage("errorTrendsLimit", String(MAX_WATCHED)));
+      }
+      trends[shortUrl] = { profileId: profileId || "", points: [] };
+      await browser.storage.local.set({ [STORAGE_KEY]: trends });
+    });
+  }
+
+  /**
+   * Stops watching a link and drops its series.
+   * @param {string} shortUrl
+   */
+  function unwatch(shortUrl) {
+    return exclusive(async () => {
+      const trends = await all();
+      if (!trends[shortUrl]) return;
+      delete trends[shortUrl];
+      await browser.storage.local.set({ [STORAGE_KEY]: trends });
+    });
+  }
+
+  /**
+   * Moves a series to a new short URL, e.g. after the keyword was changed.
+   * @param {string} oldShortUrl
+   * @param {string} newShortUrl
+   */
+  function rename(oldShortUrl, newShortUrl) {
+    return exclusive(async () => {
+      const trends = await all();
+      if (!trends[oldShortUrl] || oldShortUrl === newShortUrl) return;
+      trends[newShortUrl] = trends[oldShortUrl];
+      delete trends[oldShortUrl];
+      await browser.storage.local.set({ [STORAGE_KEY]: trends });
+    });
+  }
+
+  /**
+   * Thins out a series: full resolution for recent points, the last point of each day
+   * before that.
+   * @param {number[][]} points - `[time, clicks]` pairs, oldest first.
+   * @param {number} now - The current time.
+   * @returns {number[][]}
+   */
+  function compact(points, now) {
+    const recent = [];
+    const daily = new Map();
+    for (const point of points) {
+      if (point[0] < now - MAX_AGE_MS) continue;
+      if (point[0] >= now - FULL_RESOLUTION_MS) recent.push(point);
+      else daily.set(Math.floor(point[0] / DAY_MS), point);
+    }
+    return [...daily.values(), ...recent];
+  }
+
+  /**
+   * Sets or clears the click-milestone alerts of a watched link (see click-milestones.js).
+   * @param {string} shortUrl
+   * @param {object|null} alerts - The alert settings, or null to turn alerts off.
+   */
+  function setAlerts(shortUrl, alerts) {
+    return exclusive(async () => {
+      const trends = await all();
+      const series = trends[shortUrl];
+      if (!series) return;
+      if (alerts) series.alerts = alerts;
+      else delete series.alerts;
+      await browser.storage.local.set({ [STORAGE_KEY]: trends });
+    });
+  }
+
+  /**
+   * Adds snapshots to the series of watched links; other links are ignored.
+   * @param {object} snapshots - Short URL -> current click count.
+   * @param {function(string, object, number): void} [onRecord] - Called with the short URL,
+   *   series and click count of every recorded snapshot before saving; it may update the series.
+   *   It runs under the same lock as the other writes, so it always sees the latest series.
+   */
+  function record(snapshots, onRecord) {
+    return exclusive(async () => {
+      const at = Date.now();
+      const trends = await all();
+      let changed = false;
+      for (const [shortUrl, clicks] of Object.entries(snapshots)) {
+        const series = trends[shortUrl];
+        if (!series || !Number.isFinite(clicks)) continue;
+        series.points = compact([...series.points, [at, clicks]], at);
+        onRecord?.(shortUrl, series, clicks);
+        changed = true;
+      }
+      if (changed) await browser.storage.local.set({ [STORAGE_KEY]: trends });
+    });
+  }
+
+  /**
+   * Computes how many clicks a link gained within a time window. If the series doesn't
+   * reach back that far yet, the growth since the first snapshot is returned.
+   * @param {number[][]} points - `[time, clicks]` pairs, oldest first.
+   * @param {number} windowMs - The length of the window.
+   * @param {number} [now=Date.now()]
+   * @returns {number|null} The gain, or null with fewer than two snapshots.
+   */
+  function delta(points, windowMs, now = Date.now()) {
+    if (!points || points.length < 2) return null;
+    const start = now - windowMs;
+    let base = points[0];
+    for (const point of points) {
+      if (point[0] <= start) base = point;
+      else break;
+    }
+    return points[points.length - 1][1] - base[1];
+  }
+
+  /**
+   * Summarizes a series for display.
+   * @param {number[][]} points - `[time, clicks]` pairs, oldest first.
+   * @returns {{clicks: number|null, day: number|null, week: number|null, since: number|null}}
+   */
+  function summary(points) {
+    const last = points?.[points.length - 1];
+    return {
+      clicks: last ? last[1] : null,
+      day: delta(points, DAY_MS),
+      week: delta(points, 7 * DAY_MS),
+      since: points?.length ? points[0][0] : null
+    };
+  }
+
+  /**
+   * Draws a sparkline of the click count over the last 7 days.
+   * @param {number[][]} points - `[time, clicks]` pairs, oldest first.
+   * @param {number} [width=80] - The width in CSS pixels.
+   * @param {number} [height=20] - The height in CSS pixels.
+   * @returns {SVGSVGElement}
+   */
+  function sparkline(points, width = 80, height = 20) {
+    const ns = "http://www.w3.org/2000/svg";
+    const svg = document.createElementNS(ns, "svg");
+    svg.setAttribute("class", "sparkline");
+    svg.setAttribute("width", width);
+    svg.setAttribute("height", height);
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    const now = Date.now();
+    const shown = (points || []).filter(p => p[0] >= now - 7 * DAY_MS);
+    if (shown.length < 2) return svg;
+
+    const t0 = shown[0][0];
+    const t1 = shown[shown.length - 1][0];
+    const min = Math.min(...shown.map(p => p[1]));
+    const max = Math.max(...shown.map(p => p[1]));
+    // Keep the line off the edges so the stroke isn't clipped.
+    const x = (t) => 1 + (t1 > t0 ? (t - t0) / (t1 - t0) : 1) * (width - 2);
+    const y = (c) => height - 1 - (max > min ? (c - min) / (max - min) : 0) * (height - 2);
+    const line = document.createElementNS(ns, "polyline");
+    line.setAttribute("points", shown.map(p => `${x(p[0]).toFixed(1)},${y(p[1]).toFixed(1)}`).join(" "));
+    svg.appendChild(line);
+    return svg;
+  }
+
+  /**
+   * Formats a click gain with its sign.
+   * @param {number|null} value
+   * @returns {string}
+   */
+  function signed(value) {
+    if (value === null) return "–";
+    return value > 0 ? `+${value}` : String(value);
+  }
+
+  /**
+   * Builds the trend display of a link: a sparkline and the gain over 24 hours and 7 days.
+   * @param {number[][]} points - `[time, clicks]` pairs, oldest first.
+   * @returns {HTMLElement}
+   */
+  function render(points) {
+    const info = summary(points);
+    const el = document.createElement("span");
+    el.className = "trend";
+    const text = document.createElement("span");
+    text.className = "trend-deltas";
+    text.textContent = info.day === null
+      ? browser.i18n.getMessage("trendsCollecting")
+      : browser.i18n.getMessage("trendsDeltas", [signed(info.day), signed(info.week)]);
+    if (info.since) el.title = browser.i18n.getMessage("trendsSince", new Date(info.since).toLocaleString());
+    el.append(sparkline(points), text);
+    return el;
+  }
+
+  return {
+    STORAGE_KEY,
+    MAX_WATCHED,
+    INTERVALS,
+    DEFAULT_INTERVAL,
+    all,
+    get,
+    watch,
+    unwatch,
+    rename,
+    setAlerts,
+    record,
+    summary,
+    sparkline,
+    render
+  };
+})();
@@ -0,0 +1,135 @@
+/**
+ * @file copy-formats.js
+ * @description Formats short links for the clipboard: the plain URL, "Title – URL",
+ * Markdown, an HTML anchor, BBCode, rich text (HTML with a plain-text fallback) and the
+ * user's own templates with {shorturl}, {longurl}, {title} and {keyword} placeholders.
+ * Like helpers.js, this module is an IIFE exposing its API on `window.CopyFormats`.
+ */
+
+window.CopyFormats = (function() {
+  /** The built-in formats, in menu order, with the message key of their label. */
+  const BUILTIN = [
+    ["plain", "copyFormatPlain"],
+    ["titled", "copyFormatTitled"],
+    ["markdown", "copyFormatMarkdown"],
+    ["html", "copyFormatHtml"],
+    ["bbcode", "copyFormatBbcode"],
+    ["rich", "copyFormatRich"]
+  ];
+  /** Custom formats are identified by this prefix and their name. */
+  const CUSTOM_PREFIX = "custom:";
+
+  /**
+   * Escapes text for use in HTML content or attribute values.
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeHtml(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Extracts the keyword from a short URL.
+   * @param {string} shortUrl
+   * @returns {string}
+   */
+  function keywordOf(shortUrl) {
+    try {
+      return decodeURIComponent(new URL(shortUrl).pathname.split("/").filter(Boolean).pop() || "");
+    } catch {
+      return "";
+    }
+  }
+
+  /**
+   * Parses custom templates, one per line as "Name = template".
+   * @param {string} text
+   * @returns {Array<{name: string, template: string}>}
+   */
+  function parseTemplates(text) {
+    const templates = [];
+    String(text || "").split(/\r?\n/).forEach(line => {
+      const m = line.match(/^\s*([^=]+?)\s*=\s*(.+?)\s*$/);
+      if (m && !templates.some(t => t.name === m[1])) templates.push({ name: m[1], template: m[2] });
+    });
+    return templates;
+  }
+
+  /**
+   * Formats custom templates back into their text form.
+   * @param {Array<{name: string, template: string}>} templates
+   * @returns {string}
+   */
+  function formatTemplates(templates) {
+    return (templates || []).map(t => `${t.name} = ${t.template}`).join("\n");
+  }
+
+  /**
+   * Lists the available formats for a menu.
+   * @param {Array<{name: string, template: string}>} templates - The custom templates.
+   * @returns {Array<{id: string, label: string}>}
+   */
+  function list(templates) {
+    return [
+      ...BUILTIN.map(([id, key]) => ({ id, label: browser.i18n.getMessage(key) })),
+      ...(templates || []).map(t => ({ id: CUSTOM_PREFIX + t.name, label: t.name }))
+    ];
+  }
+
+  /**
+   * Formats a link. Links without a title use the short URL as their text.
+   * @param {string} id - The format ID; unknown formats fall back to the plain URL.
+   * @param {{shortUrl: string, longUrl?: string, title?: string}} link
+   * @param {Array<{name: string, template: string}>} [templates] - The custom templates.
+   * @returns {{text: string, html?: string}} The plain text, and HTML for rich text.
+   */
+  function format(id, link, templates) {
+    const url = link.shortUrl;
+    const title = String(link.title || "").trim();
+    const text = title || url;
+    switch (id) {
+      case "titled": return { text: title ? `${title} – ${url}` : url };
+      case "markdown": {
+        const label = text.replace(/([\\[\]])/g, "\\$1");
+        return { text: `[${label}](${url.replace(/\(/g, "%28").replace(/\)/g, "%29")})` };
+      }
+      case "html": return { text: `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>` };
+      case "bbcode": return { text: `[url=${url.replace(/\]/g, "%5D")}]${text}[/url]` };
+      case "rich": return { text: title ? `${title} – ${url}` : url, html: `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>` };
+    }
+    const custom = String(id).startsWith(CUSTOM_PREFIX)
+      ? (templates || []).find(t => CUSTOM_PREFIX + t.name === id)
+      : null;
+    if (!custom) return { text: url };
+    const values = { shorturl: url, longurl: link.longUrl || "", title, keyword: keywordOf(url) };
+    return { text: custom.template.replace(/\{(\w+)\}/g, (m, name) => values[name.toLowerCase()] ?? m) };
+  }
+
+  /**
+   * Copies a link to the clipboard in a format. Rich text is written as HTML with a
+   * plain-text fallback, so editors paste a link and
+   * plain text fields get "Title – URL".
+   * @param {string} id - The format ID.
+   * @param {{shortUrl: string, longUrl?: string, title?: string}} link
+   * @param {Array<{name: string, template: string}>} [templates] - The custom templates.
+   */
+  async function copy(id, link, templates) {
+    const { text, html } = format(id, link, templates);
+    if (html && typeof ClipboardItem !== "undefined") {
+      await navigator.clipboard.write([new ClipboardItem({
+        "text/html": new Blob([html], { type: "text/html" }),
+        "text/plain": new Blob([text], { type: "text/plain" })
+      })]);
+    } else {
+      await navigator.clipboard.writeText(text);
+    }
+  }
+
+  return {
+    parseTemplates,
+    formatTemplates,
+    list,
+    format,
+    copy
+  };
+})();
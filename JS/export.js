@@ -0,0 +1,153 @@
+/**
+ * @file export.js
+ * @description Serializes link lists for export as CSV, JSON or a Markdown table,
+ * and packs files (e.g. the export plus QR code PNGs) into a ZIP archive.
+ * Like helpers.js, this module is an IIFE exposing its API on `window.LinkExport`.
+ */
+
+window.LinkExport = (function() {
+  const H = window.Helpers;
+
+  // The exported columns, in order: record property and column header.
+  const COLUMNS = [
+    ["shortUrl", "short_url"],
+    ["longUrl", "long_url"],
+    ["title", "title"],
+    ["clicks", "clicks"],
+    ["created", "created"]
+  ];
+
+  /**
+   * Serializes records as CSV with a header row.
+   * @param {Array<{shortUrl: string, longUrl: string, title: string, clicks: number|null, created: string}>} records
+   * @returns {string}
+   */
+  function toCsv(records) {
+    return H.toCsv([COLUMNS.map(c => c[1]), ...records.map(r => COLUMNS.map(c => r[c[0]] ?? ""))]);
+  }
+
+  /**
+   * Serializes records as pretty-printed JSON.
+   * @param {object[]} records
+   * @returns {string}
+   */
+  function toJson(records) {
+    const data = records.map(r => Object.fromEntries(COLUMNS.map(([key, name]) => [name, r[key] ?? null])));
+    return JSON.stringify({ exported: new Date().toISOString(), links: data }, null, 2) + "\n";
+  }
+
+  /**
+   * Serializes records as a Markdown table.
+   * @param {object[]} records
+   * @returns {string}
+   */
+  function toMarkdown(records) {
+    const cell = (v) => String(v ?? "").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+    const lines = [
+      "| Short URL | Long URL | Title | Clicks | Created |",
+      "| --- | --- | --- | ---: | --- |",
+      ...records.map(r => `| ${COLUMNS.map(c => cell(r[c[0]])).join(" | ")} |`)
+    ];
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Serializes records in the given format.
+   * @param {object[]} records
+   * @param {"csv"|"json"|"md"} format
+   * @returns {{content: string, type: string, extension: string}}
+   */
+  function serialize(records, format) {
+    switch (format) {
+      case "json": return { content: toJson(records), type: "application/json", extension: "json" };
+      case "md": return { content: toMarkdown(records), type: "text/markdown", extension: "md" };
+      default: return { content: toCsv(records), type: "text/csv", extension: "csv" };
+    }
+  }
+
+  // CRC-32 lookup table for the ZIP writer.
+  const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+
+  /**
+   * Computes the CRC-32 checksum of a byte array.
+   * @param {Uint8Array} bytes
+   * @returns {number}
+   */
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Packs files into an uncompressed ("stored") ZIP archive.
+   * @param {Array<{name: string, data: Uint8Array|string}>} files - The files; strings are UTF-8 encoded.
+   * @returns {Blob} The ZIP archive.
+   */
+  function buildZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = typeof file.data === "string" ? encoder.encode(file.data) : file.data;
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true); // Local file header signature
+      local.setUint16(4, 20, true);          // Version needed to extract
+      local.setUint16(6, 0x0800, true);      // Flags: UTF-8 file names
+      local.setUint16(8, 0, true);           // Compression: stored
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      parts.push(local, name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);  // Central directory header signature
+      entry.setUint16(4, 20, true);          // Version made by
+      entry.setUint16(6, 20, true);          // Version needed to extract
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, dosTime, true);
+      entry.setUint16(14, dosDate, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);     // Offset of the local header
+      central.push(entry, name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((n, p) => n + p.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);      // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: "application/zip" });
+  }
+
+  return {
+    serialize,
+    buildZip
+  };
+})();
@@ -39,30 +39,249 @@ window.Helpers = (function() {
       return p;
   }
 
+  /**
+   * Creates a new, empty YOURLS instance profile.
+   * @param {object} [fields] - Optional initial values for the profile.
+   * `authMode` is "signature" (the raw token), "timed" (a time-limited signature
+   * hashed with `signatureHash`) or "password" (`username` and `password`).
+   * `defaults` overrides some global settings for links made with this profile
+   * (see `settingsForProfile()`).
+   * @returns {{id: string, name: string, yourlsUrl: string, apiSignature: string, authMode: string, signatureHash: string, username: string, password: string, defaults: object}}
+   */
+  function createProfile(fields) {
+    return {
+      id: "p" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name: "",
+      yourlsUrl: "",
+      apiSignature: "",
+      authMode: "signature",
+      signatureHash: "md5",
+      username: "",
+      password: "",
+      defaults: {},
+      ...(fields || {})
+    };
+  }
+
+  /** The global settings a profile can override in its `defaults`. */
+  const PROFILE_DEFAULTS = ["autoCopy", "stripTracking"];
+
+  /**
+   * Applies the defaults of a profile to the settings. A default that isn't set
+   * (missing or `null`) keeps the global setting.
+   * @param {object} settings - The settings from `getSettings()`.
+   * @param {object|null} profile - The profile the settings are used for.
+   * @returns {object} A copy of the settings with the profile's overrides.
+   */
+  function settingsForProfile(settings, profile) {
+    const overrides = {};
+    for (const key of PROFILE_DEFAULTS) {
+      if (typeof profile?.defaults?.[key] === "boolean") overrides[key] = profile.defaults[key];
+    }
+    return { ...settings, ...overrides };
+  }
+
+  /**
+   * Checks whether a profile has the credentials its authentication mode needs.
+   * @param {object} profile - The profile to check.
+   * @returns {boolean}
+   */
+  function hasCredentials(profile) {
+    if (!profile) return false;
+    // Encrypted secrets (see vault.js) can't be inspected until the vault is unlocked.
+    if (profile.sealed) return profile.authMode !== "password" || !!profile.username;
+    if (profile.authMode === "password") return !!(profile.username && profile.password);
+    return !!profile.apiSignature;
+  }
+
+  /**
+   * Returns a human-readable label for a profile, falling back to its host name.
+   * @param {object} profile - The profile to label.
+   * @returns {string}
+   */
+  function profileLabel(profile) {
+    if (!profile) return "";
+    if (profile.name) return profile.name;
+    try {
+      return new URL(profile.yourlsUrl).host;
+    } catch {
+      return profile.id;
+    }
+  }
+
+  /**
+   * The normalized user settings.
+   * @typedef {object} Settings
+   * @property {object[]} profiles - The YOURLS instance profiles (see `createProfile()`).
+   * @property {string} activeProfileId - The ID of the default profile.
+   * @property {string} yourlsUrl - The URL of the active profile.
+   * @property {string} apiSignature - The signature token of the active profile.
+   * @property {boolean} autoCopy - Whether new short links are copied right away.
+   * @property {boolean} quickMode - Whether the context menu shortens without the popup.
+   * @property {boolean} badgeServerLookup - Whether the badge asks the server about unknown pages.
+   * @property {string} keywordCharset - "36" or "62".
+   * @property {boolean} keywordHyphens - Whether suggested keywords may contain hyphens.
+   * @property {string} keywordTemplate - The keyword template, or "" for the built-in one.
+   * @property {string} keywordStyle - "slug", "date", "random" or "template".
+   * @property {number} linkBrowserPageSize - The links per page in the popup dashboard.
+   * @property {boolean} stripTracking - Whether tracking parameters are removed.
+   * @property {string[]|null} trackingParams - The parameters to remove, or null for the built-in list.
+   * @property {object[]} trackingDomainRules - Per-domain parameters to remove.
+   * @property {object[]|null} redirectRules - The redirect-unwrapping rules, or null for the built-in ones.
+   * @property {string} qrForeground - The QR code color.
+   * @property {string} qrBackground - The QR code background color.
+   * @property {number} qrSize - The QR code size in pixels.
+   * @property {number} qrMargin - The quiet zone in modules.
+   * @property {string} qrErrorLevel - "L", "M", "Q" or "H".
+   * @property {string} qrLogo - A logo as a data URL, or "".
+   * @property {string} qrFormat - "png" or "svg".
+   * @property {string} labelTemplate - The QR label sheet template.
+   * @property {string} labelPageSize - The QR label sheet page size.
+   * @property {boolean} trendsEnabled - Whether watched links are polled.
+   * @property {number} trendsIntervalMinutes - The polling interval.
+   * @property {boolean} milestonesEnabled - Whether click milestones raise notifications.
+   * @property {number[]} milestoneThresholds - The thresholds for newly watched links.
+   * @property {string} milestoneQuietStart - The start of the quiet hours as "HH:MM", or "".
+   * @property {string} milestoneQuietEnd - The end of the quiet hours as "HH:MM", or "".
+   * @property {string} copyFormat - The format short links are copied in.
+   * @property {Array<{name: string, template: string}>} copyTemplates - The user's own copy formats.
+   */
+
   /**
    * Retrieves user settings from local browser storage with sensible defaults.
-   * @returns {Promise<{yourlsUrl: string, apiSignature: string, autoCopy: boolean}>} A promise that resolves to the settings object.
+   * Older versions stored a single flat `yourlsUrl` / `apiSignature` pair; such
+   * settings are transparently migrated into a single default profile.
+   * For convenience, `yourlsUrl` and `apiSignature` always mirror the active profile.
+   * @returns {Promise<Settings>} A promise that resolves to the settings object.
    */
   async function getSettings() {
     const o = await browser.storage.local.get({
+      profiles: null,
+      activeProfileId: "",
       yourlsUrl: "",
       apiSignature: "",
-      autoCopy: true
+      autoCopy: true,
+      quickMode: false,
+      badgeServerLookup: false,
+      keywordCharset: "36",
+      keywordHyphens: false,
+      keywordTemplate: "",
+      keywordStyle: "slug",
+      linkBrowserPageSize: 10,
+      stripTracking: true,
+      trackingParams: null,
+      trackingDomainRules: [],
+      redirectRules: null,
+      qrForeground: "#111827",
+      qrBackground: "#ffffff",
+      qrSize: 512,
+      qrMargin: 4,
+      qrErrorLevel: "H",
+      qrLogo: "",
+      qrFormat: "png",
+      labelTemplate: "medium",
+      labelPageSize: "A4",
+      trendsEnabled: false,
+      trendsIntervalMinutes: 60,
+      milestonesEnabled: false,
+      milestoneThresholds: [100, 1000, 10000],
+      milestoneQuietStart: "",
+      milestoneQuietEnd: "",
+      copyFormat: "plain",
+      copyTemplates: []
     });
-    // Ensure `autoCopy` is always a strict boolean.
+
+    // Fill in fields added in later versions, such as the authentication mode.
+    let profiles = Array.isArray(o.profiles) ? o.profiles.map(p => createProfile(p)) : [];
+    if (!profiles.length && (o.yourlsUrl || o.apiSignature)) {
+      profiles = [createProfile({ id: "default", yourlsUrl: o.yourlsUrl, apiSignature: o.apiSignature })];
+    }
+    const active = profiles.find(p => p.id === o.activeProfileId) || profiles[0] || null;
+
     return {
-      yourlsUrl: o.yourlsUrl,
-      apiSignature: o.apiSignature,
-      autoCopy: o.autoCopy !== false
+      profiles,
+      activeProfileId: active ? active.id : "",
+      yourlsUrl: active ? active.yourlsUrl : "",
+      apiSignature: active ? active.apiSignature : "",
+      // Ensure `autoCopy` is always a strict boolean.
+      autoCopy: o.autoCopy !== false,
+      quickMode: o.quickMode === true,
+      badgeServerLookup: o.badgeServerLookup === true,
+      // The YOURLS keyword charset: "36" (0-9, a-z) or "62" (0-9, a-z, A-Z).
+      keywordCharset: o.keywordCharset === "62" ? "62" : "36",
+      keywordHyphens: o.keywordHyphens === true,
+      // An empty template means "use the built-in one" (see Keywords.DEFAULT_TEMPLATE).
+      keywordTemplate: String(o.keywordTemplate || ""),
+      keywordStyle: ["slug", "date", "random", "template"].includes(o.keywordStyle) ? o.keywordStyle : "slug",
+      linkBrowserPageSize: Number(o.linkBrowserPageSize) || 10,
+      stripTracking: o.stripTracking !== false,
+      // `null` means "use the built-in list" (see UrlCleaner.DEFAULT_PARAMS).
+      trackingParams: Array.isArray(o.trackingParams) ? o.trackingParams : null,
+      trackingDomainRules: Array.isArray(o.trackingDomainRules) ? o.trackingDomainRules : [],
+      // `null` means "use the built-in rules" (see UrlCleaner.DEFAULT_REDIRECT_RULES).
+      redirectRules: Array.isArray(o.redirectRules) ? o.redirectRules : null,
+      // The QR code style; QrRenderer.fromSettings() validates it before drawing.
+      qrForeground: String(o.qrForeground),
+      qrBackground: String(o.qrBackground),
+      qrSize: Number(o.qrSize),
+      qrMargin: Number(o.qrMargin),
+      qrErrorLevel: String(o.qrErrorLevel),
+      // A small image as a data URL, drawn in the middle of the code.
+      qrLogo: String(o.qrLogo || ""),
+      qrFormat: o.qrFormat === "svg" ? "svg" : "png",
+      // The QR label sheet layout; labels.js checks it against its templates and page sizes.
+      labelTemplate: String(o.labelTemplate),
+      labelPageSize: String(o.labelPageSize),
+      // Opt-in polling of the click counts of watched links (see click-trends.js).
+      trendsEnabled: o.trendsEnabled === true,
+      trendsIntervalMinutes: Number(o.trendsIntervalMinutes) || 60,
+      // Click-milestone notifications: the thresholds for newly watched links and the
+      // global quiet hours as "HH:MM" (see click-milestones.js); empty times mean none.
+      milestonesEnabled: o.milestonesEnabled === true,
+      milestoneThresholds: Array.isArray(o.milestoneThresholds) ? o.milestoneThresholds : [100, 1000, 10000],
+      milestoneQuietStart: String(o.milestoneQuietStart || ""),
+      milestoneQuietEnd: String(o.milestoneQuietEnd || ""),
+      // The format short links are copied in, and the user's own formats (see copy-formats.js).
+      copyFormat: String(o.copyFormat || "plain"),
+      copyTemplates: Array.isArray(o.copyTemplates) ? o.copyTemplates : []
     };
   }
 
+  /**
+   * Resolves a profile by its ID, or the active profile if no ID is given. An unknown ID
+   * (e.g. of a deleted or not yet saved profile) doesn't fall back to another instance.
+   * @param {string} [id] - The profile ID to look up.
+   * @returns {Promise<object|null>} The matching profile, or null if there is none.
+   */
+  async function getProfile(id) {
+    const { profiles, activeProfileId } = await getSettings();
+    return profiles.find(p => p.id === (id || activeProfileId)) || null;
+  }
+
+  /**
+   * Finds the profile whose YOURLS base URL the given URL belongs to.
+   * @param {object[]} profiles - The configured profiles.
+   * @param {string} url - The URL to match.
+   * @returns {object|null} The owning profile, or null if the URL is not a short URL of any profile.
+   */
+  function findProfileForUrl(profiles, url) {
+    if (!url) return null;
+    return (profiles || []).find(p => {
+      const base = sanitizeBaseUrl(p.yourlsUrl);
+      return base && url.startsWith(base + "/") && url.length > base.length + 1;
+    }) || null;
+  }
+
   /**
    * Saves a settings object to local browser storage.
+   * The legacy flat `yourlsUrl` / `apiSignature` keys are dropped once profiles are saved.
    * @param {object} v - The settings object to save.
    */
   async function setSettings(v) {
     await browser.storage.local.set(v || {});
+    if (v && Array.isArray(v.profiles)) {
+      await browser.storage.local.remove(["yourlsUrl", "apiSignature"]);
+    }
   }
 
   /**
@@ -96,6 +315,27 @@ window.Helpers = (function() {
     return null;
   }
 
+  /**
+   * Normalizes the link list of a YOURLS `stats` response into an array.
+   * YOURLS returns the links as an object keyed `link_1`, `link_2`, … in rank order.
+   * @param {object} json - The parsed JSON response from the `stats` action.
+   * @returns {Array<{shorturl: string, url: string, title: string, timestamp: string, clicks: number}>}
+   */
+  function extractLinks(json) {
+    const links = json?.links;
+    if (!links) return [];
+    const list = Array.isArray(links) ? links : Object.keys(links)
+      .sort((a, b) => parseInt(a.replace(/\D/g, ""), 10) - parseInt(b.replace(/\D/g, ""), 10))
+      .map(k => links[k]);
+    return list.filter(Boolean).map(l => ({
+      shorturl: l.shorturl || "",
+      url: l.url || "",
+      title: l.title || "",
+      timestamp: l.timestamp || "",
+      clicks: Number(l.clicks) || 0
+    }));
+  }
+
   /**
    * Extracts the keyword from a given string, which could be a full short URL or just the keyword itself.
    * @param {string} base - The base URL of the YOURLS instance.
@@ -120,14 +360,150 @@ window.Helpers = (function() {
     }
   }
 
+  /**
+   * Parses CSV text (RFC 4180: quoted fields, escaped quotes, CRLF or LF line endings).
+   * Both comma and semicolon separators are supported; the one used in the first line wins.
+   * @param {string} text - The CSV text.
+   * @returns {string[][]} The rows, each an array of field values. Empty lines are skipped.
+   */
+  function parseCsv(text) {
+    text = String(text || "").replace(/^\uFEFF/, "");
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const sep = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          field += c;
+        }
+      } else if (c === '"' && field === "") {
+        quoted = true;
+      } else if (c === sep) {
+        row.push(field);
+        field = "";
+      } else if (c === "\n" || c === "\r") {
+        if (c === "\r" && text[i + 1] === "\n") i++;
+        row.push(field);
+        if (row.some(f => f.trim() !== "")) rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += c;
+      }
+    }
+    row.push(field);
+    if (row.some(f => f.trim() !== "")) rows.push(row);
+    return rows;
+  }
+
+  /**
+   * Serializes rows into CSV text, quoting fields where needed.
+   * @param {Array<Array<*>>} rows - The rows to serialize.
+   * @returns {string} The CSV text with CRLF line endings.
+   */
+  function toCsv(rows) {
+    const quote = (v) => {
+      const t = v === undefined || v === null ? "" : String(v);
+      return /[",\r\n;]/.test(t) ? '"' + t.replace(/"/g, '""') + '"' : t;
+    };
+    return rows.map(r => r.map(quote).join(",")).join("\r\n") + "\r\n";
+  }
+
+  /**
+   * Offers a string as a file download.
+   * @param {string} content - The file content.
+   * @param {string} filename - The suggested file name.
+   * @param {string} type - The MIME type.
+   */
+  function downloadText(content, filename, type) {
+    downloadBlob(new Blob([content], { type }), filename);
+  }
+
+  /**
+   * Offers a blob as a file download.
+   * @param {Blob} blob - The file content.
+   * @param {string} filename - The suggested file name.
+   */
+  function downloadBlob(blob, filename) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  /**
+   * Runs an async function over a list of items with bounded concurrency.
+   * Results keep the order of the input; a rejected call yields `{ error }` instead of aborting the run.
+   * @param {Array} items - The items to process.
+   * @param {number} limit - The maximum number of calls running at the same time.
+   * @param {Function} fn - The async function, called as `fn(item, index)`.
+   * @returns {Promise<Array>} The results in input order.
+   */
+  async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    async function worker() {
+      while (next < items.length) {
+        const i = next++;
+        try {
+          results[i] = await fn(items[i], i);
+        } catch (error) {
+          results[i] = { error };
+        }
+      }
+    }
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Creates a lock that runs async functions one after another, in call order.
+   * Stores use it so concurrent read-modify-write cycles on one storage key don't
+   * overwrite each other's changes.
+   * @returns {function(Function): Promise<*>} Runs `fn()` once all earlier calls have
+   *   settled and resolves or rejects with its result.
+   */
+  function createLock() {
+    let tail = Promise.resolve();
+    return function(fn) {
+      const run = tail.then(() => fn());
+      tail = run.catch(() => {});
+      return run;
+    };
+  }
+
   // Expose the public functions to the `window.Helpers` object.
   return {
     sanitizeBaseUrl,
     toFormData,
+    createProfile,
+    settingsForProfile,
+    hasCredentials,
+    profileLabel,
     getSettings,
+    getProfile,
+    findProfileForUrl,
     setSettings,
     parseMaybeJson,
     extractShort,
-    extractKeyword
+    extractLinks,
+    extractKeyword,
+    parseCsv,
+    toCsv,
+    downloadText,
+    downloadBlob,
+    mapLimit,
+    createLock
   };
 })();
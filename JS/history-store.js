@@ -0,0 +1,90 @@
+/**
+ * @file history-store.js
+ * @description Persistent local history of the links shortened with kurl.
+ * Entries live in `browser.storage.local` under a single key, newest first.
+ * Like helpers.js, this module is an IIFE exposing its API on `window.LinkHistory`.
+ */
+
+window.LinkHistory = (function() {
+  const STORAGE_KEY = "linkHistory";
+  // Keep the history bounded so storage.local stays small and fast.
+  const MAX_ENTRIES = 2000;
+  // Writes read the whole list and store it back, so they run one at a time. The lock
+  // only holds within one page, so the other pages ask the background script to write.
+  const exclusive = window.Helpers.createLock();
+
+  /**
+   * Reads all history entries, newest first.
+   * @returns {Promise<object[]>}
+   */
+  async function list() {
+    const o = await browser.storage.local.get({ [STORAGE_KEY]: [] });
+    return Array.isArray(o[STORAGE_KEY]) ? o[STORAGE_KEY] : [];
+  }
+
+  /**
+   * Adds a link to the history. An existing entry with the same short URL is
+   * replaced and moved to the top, keeping its original creation time.
+   * @param {{shortUrl: string, longUrl: string, keyword: string, title: string, profileId: string, already: boolean}} entry
+   * @returns {Promise<object>} The stored entry.
+   */
+  function add(entry) {
+    return exclusive(async () => {
+      const entries = await list();
+      const previous = entries.find(e => e.shortUrl === entry.shortUrl);
+      const stored = {
+        shortUrl: entry.shortUrl,
+        longUrl: entry.longUrl || previous?.longUrl || "",
+        keyword: entry.keyword || previous?.keyword || "",
+        title: entry.title || previous?.title || "",
+        profileId: entry.profileId || previous?.profileId || "",
+        createdAt: previous?.createdAt || Date.now(),
+        already: !!entry.already
+      };
+      const rest = entries.filter(e => e.shortUrl !== entry.shortUrl);
+      await browser.storage.local.set({ [STORAGE_KEY]: [stored, ...rest].slice(0, MAX_ENTRIES) });
+      return stored;
+    });
+  }
+
+  /**
+   * Updates fields of an entry, e.g. after its target or keyword was edited on the server.
+   * @param {string} shortUrl - The short URL of the entry to update.
+   * @param {object} changes - The fields to change (a new `shortUrl` included).
+   */
+  function update(shortUrl, changes) {
+    return exclusive(async () => {
+      const entries = await list();
+      await browser.storage.local.set({ [STORAGE_KEY]: entries.map(e => e.shortUrl === shortUrl ? { ...e, ...changes } : e) });
+    });
+  }
+
+  /**
+   * Removes a link from the history.
+   * @param {string} shortUrl - The short URL of the entry to remove.
+   */
+  function remove(shortUrl) {
+    return exclusive(async () => {
+      const entries = await list();
+      await browser.storage.local.set({ [STORAGE_KEY]: entries.filter(e => e.shortUrl !== shortUrl) });
+    });
+  }
+
+  /**
+   * Deletes the whole history.
+   */
+  function clear() {
+    return exclusive(async () => {
+      await browser.storage.local.set({ [STORAGE_KEY]: [] });
+    });
+  }
+
+  return {
+    STORAGE_KEY,
+    list,
+    add,
+    update,
+    remove,
+    clear
+  };
+})();
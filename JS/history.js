@@ -0,0 +1,436 @@
+/**
+ * kurl - history.js
+ * Controls the link history page: a searchable, sortable and filterable list of
+ * every link shortened with kurl. Row actions reuse the background message handlers.
+ */
+
+const H = window.Helpers;
+const LinkHistory = window.LinkHistory;
+const LinkExport = window.LinkExport;
+const QrRenderer = window.QrRenderer;
+const ClickTrends = window.ClickTrends;
+const CopyFormats = window.CopyFormats;
+const $ = (id) => document.getElementById(id);
+
+// Element references
+const searchEl = $("search");
+const sortEl = $("sort");
+const domainEl = $("domainFilter");
+const dateFromEl = $("dateFrom");
+const dateToEl = $("dateTo");
+const rowsEl = $("historyRows");
+const emptyEl = $("emptyMessage");
+const qrcodeDisplay = $("qrcode-display");
+const statusBox = $("status");
+const btnClear = $("clearHistory");
+const btnLabels = $("openLabels");
+const exportSourceEl = $("exportSource");
+const exportProfileEl = $("exportProfile");
+const exportLimitEl = $("exportLimit");
+const exportFormatEl = $("exportFormat");
+const exportClicksEl = $("exportClicks");
+const exportQrEl = $("exportQr");
+const btnExport = $("exportBtn");
+
+// All history entries and the configured profiles, loaded on init.
+let entries = [];
+let profiles = [];
+// The QR code style and file format from the settings.
+let qrOptions = QrRenderer.DEFAULTS;
+let qrFormat = "png";
+// Whether click trends are polled, and the click series of watched links by short URL.
+let trendsEnabled = false;
+let trends = {};
+// The format links are copied in, and the user's own formats (see copy-formats.js).
+let copyFormat = "plain";
+let copyTemplates = [];
+
+/**
+ * Updates all text content in the document based on the browser's locale.
+ * It uses the `data-i18n-key` attributes to find and replace text.
+ */
+function internationalize() {
+  document.querySelectorAll('[data-i18n-key]').forEach(el => {
+    const key = el.getAttribute('data-i18n-key');
+    const message = browser.i18n.getMessage(key);
+    if (message) {
+      if (el.placeholder) el.placeholder = message;
+      else el.textContent = message;
+    }
+  });
+}
+
+/**
+ * Sets the status message text and appearance.
+ * @param {string} text - The message to display.
+ * @param {string} [cls=""] - An optional class to add (e.g., "ok").
+ */
+function setStatus(text, cls = "") {
+  statusBox.className = "info " + cls;
+  statusBox.textContent = text;
+}
+
+/**
+ * Returns the host name of a URL, or an empty string if it cannot be parsed.
+ * @param {string} url
+ * @returns {string}
+ */
+function domainOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Applies the search text, domain and date filters and the selected sort order.
+ * @returns {object[]} The entries to display.
+ */
+function filteredEntries() {
+  const q = searchEl.value.trim().toLowerCase();
+  const domain = domainEl.value;
+  // Date inputs are interpreted in local time; the "to" date is inclusive.
+  const from = dateFromEl.value ? new Date(dateFromEl.value + "T00:00:00").getTime() : -Infinity;
+  const to = dateToEl.value ? new Date(dateToEl.value + "T23:59:59.999").getTime() : Infinity;
+
+  const list = entries.filter(e => {
+    if (domain && domainOf(e.longUrl) !== domain) return false;
+    if (e.createdAt < from || e.createdAt > to) return false;
+    if (!q) return true;
+    return [e.title, e.longUrl, e.shortUrl, e.keyword].some(v => String(v || "").toLowerCase().includes(q));
+  });
+
+  const byText = (f) => (a, b) => f(a).localeCompare(f(b));
+  switch (sortEl.value) {
+    case "oldest": return list.sort((a, b) => a.createdAt - b.createdAt);
+    case "title": return list.sort(byText(e => e.title || e.longUrl));
+    case "domain": return list.sort(byText(e => domainOf(e.longUrl)));
+    default: return list.sort((a, b) => b.createdAt - a.createdAt);
+  }
+}
+
+/**
+ * Rebuilds the domain filter options from the current history.
+ */
+function renderDomainFilter() {
+  const selected = domainEl.value;
+  const domains = [...new Set(entries.map(e => domainOf(e.longUrl)).filter(Boolean))].sort();
+  domainEl.length = 1; // Keep the "All domains" option.
+  domains.forEach(d => domainEl.appendChild(new Option(d, d)));
+  domainEl.value = domains.includes(selected) ? selected : "";
+}
+
+/**
+ * Creates a small action button for a table row.
+ * @param {string} key - The i18n message key for the label.
+ * @param {Function} onClick - The click handler.
+ * @param {string} [cls="secondary"] - Button classes.
+ * @returns {HTMLButtonElement}
+ */
+function actionButton(key, onClick, cls = "secondary") {
+  const btn = document.createElement("button");
+  btn.className = cls;
+  btn.textContent = browser.i18n.getMessage(key);
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+/**
+ * Renders the history table.
+ */
+function render() {
+  const list = filteredEntries();
+  rowsEl.innerHTML = "";
+  emptyEl.style.display = list.length ? "none" : "block";
+
+  for (const entry of list) {
+    const tr = document.createElement("tr");
+
+    const linkCell = document.createElement("td");
+    const titleEl = document.createElement("div");
+    titleEl.className = "link-title";
+    titleEl.textContent = entry.title || domainOf(entry.longUrl);
+    const longEl = document.createElement("div");
+    longEl.className = "link-target";
+    longEl.textContent = entry.longUrl;
+    longEl.title = entry.longUrl;
+    linkCell.append(titleEl, longEl);
+
+    const shortCell = document.createElement("td");
+    const shortEl = document.createElement("span");
+    shortEl.className = "copyTag";
+    shortEl.textContent = entry.shortUrl;
+    shortCell.appendChild(shortEl);
+    if (trends[entry.shortUrl]) shortCell.appendChild(ClickTrends.render(trends[entry.shortUrl].points));
+    const profile = profiles.find(p => p.id === entry.profileId);
+    if (profiles.length > 1 && profile) {
+      const profileEl = document.createElement("div");
+      profileEl.className = "link-target";
+      profileEl.textContent = H.profileLabel(profile);
+      shortCell.appendChild(profileEl);
+    }
+
+    const dateCell = document.createElement("td");
+    dateCell.textContent = new Date(entry.createdAt).toLocaleString();
+    if (entry.already) dateCell.title = browser.i18n.getMessage("historyAlreadyExisted");
+
+    const actionsCell = document.createElement("td");
+    actionsCell.className = "link-actions";
+    actionsCell.append(
+      actionButton("historyBtnOpen", () => browser.tabs.create({ url: entry.longUrl })),
+      actionButton("historyBtnCopy", () => copyLink(entry)),
+      actionButton("popupBtnQrCode", () => showQr(entry)),
+      actionButton("popupBtnStats", () => showStats(entry)),
+      actionButton("popupBtnDelete", (e) => deleteLink(entry, e.currentTarget), "secondary danger")
+    );
+    if (trendsEnabled) {
+      const watched = !!trends[entry.shortUrl];
+      actionsCell.insertBefore(actionButton(watched ? "trendsBtnUnwatch" : "trendsBtnWatch", () => setWatched(entry, !watched)), actionsCell.lastChild);
+    }
+
+    tr.append(linkCell, shortCell, dateCell, actionsCell);
+    rowsEl.appendChild(tr);
+  }
+}
+
+/**
+ * Copies a short URL to the clipboard in the default copy format.
+ * @param {object} entry - The history entry.
+ */
+async function copyLink(entry) {
+  try {
+    await CopyFormats.copy(copyFormat, entry, copyTemplates);
+    setStatus(browser.i18n.getMessage("popupStatusCopied"), "ok");
+  } catch {
+    setStatus(browser.i18n.getMessage("popupErrorCopyFailed"));
+  }
+}
+
+/**
+ * Shows the QR code for a short URL, or hides it if it is already shown.
+ * @param {object} entry - The history entry.
+ */
+function showQr(entry) {
+  if (qrcodeDisplay.style.display === "flex" && qrcodeDisplay.dataset.url === entry.shortUrl) {
+    qrcodeDisplay.style.display = "none";
+    return;
+  }
+  qrcodeDisplay.dataset.url = entry.shortUrl;
+  QrRenderer.render(qrcodeDisplay, entry.shortUrl, qrOptions, 160);
+  qrcodeDisplay.style.display = "flex";
+  qrcodeDisplay.scrollIntoView({ block: "nearest" });
+}
+
+/**
+ * Fetches the current stats for a short URL via the background script.
+ * @param {object} entry - The history entry.
+ */
+async function showStats(entry) {
+  setStatus(browser.i18n.getMessage("popupStatusFetchingStats"));
+  const r = await browser.runtime.sendMessage({ type: "GET_STATS", shortUrl: entry.shortUrl, profileId: entry.profileId });
+  if (!r || !r.ok) return setStatus(r?.reason || browser.i18n.getMessage("errorStatsFailed"));
+  const l = r.data?.link || r.data?.url || {};
+  setStatus(browser.i18n.getMessage("popupStatusStatsResult", [l.shorturl || entry.shortUrl, l.url || entry.longUrl, l.clicks ?? "?"]), "ok");
+}
+
+/**
+ * Starts or stops watching the clicks of a link. The storage listener re-renders the list.
+ * @param {object} entry - The history entry.
+ * @param {boolean} watch - Whether to watch it.
+ */
+async function setWatched(entry, watch) {
+  const r = await browser.runtime.sendMessage({ type: "WATCH_LINK", shortUrl: entry.shortUrl, profileId: entry.profileId, watch });
+  if (!r || !r.ok) return setStatus(r?.reason || browser.i18n.getMessage("errorStatsFailed"));
+  setStatus(browser.i18n.getMessage(watch ? "trendsStatusWatching" : "trendsStatusUnwatched"), "ok");
+}
+
+/**
+ * Deletes a short URL on the server after a confirmation click.
+ * @param {object} entry - The history entry.
+ * @param {HTMLButtonElement} btn - The delete button, used for the confirm state.
+ */
+async function deleteLink(entry, btn) {
+  if (!btn.classList.contains("confirm-delete")) {
+    btn.textContent = browser.i18n.getMessage("popupBtnConfirmDelete");
+    btn.classList.add("confirm-delete");
+    setTimeout(() => {
+      btn.textContent = browser.i18n.getMessage("popupBtnDelete");
+      btn.classList.remove("confirm-delete");
+    }, 4000);
+    return;
+  }
+
+  setStatus(browser.i18n.getMessage("popupStatusDeleting"));
+  const r = await browser.runtime.sendMessage({ type: "DELETE_SHORTURL", shortUrl: entry.shortUrl, profileId: entry.profileId });
+  if (!r || !r.ok) return setStatus(r?.reason || browser.i18n.getMessage("errorDeleteFailed"));
+  setStatus(browser.i18n.getMessage("popupStatusDeleted"), "ok");
+  // The background script removes the entry from the history; the storage listener re-renders.
+}
+
+/**
+ * Collects the records to export from the selected source: the filtered local
+ * history, or a server link list from the YOURLS `stats` action.
+ * @returns {Promise<object[]>} Records with shortUrl, longUrl, title, clicks and created.
+ */
+async function collectExportRecords() {
+  if (exportSourceEl.value === "history") {
+    const list = filteredEntries();
+    const records = list.map(e => ({
+      shortUrl: e.shortUrl,
+      longUrl: e.longUrl,
+      title: e.title,
+      clicks: null,
+      created: new Date(e.createdAt).toISOString(),
+      profileId: e.profileId
+    }));
+    if (exportClicksEl.checked) {
+      let done = 0;
+      await H.mapLimit(records, 3, async (record) => {
+        const r = await browser.runtime.sendMessage({ type: "GET_STATS", shortUrl: record.shortUrl, profileId: record.profileId });
+        const l = r?.ok ? (r.data?.link || r.data?.url || {}) : {};
+        record.clicks = l.clicks !== undefined ? Number(l.clicks) : null;
+        setStatus(browser.i18n.getMessage("exportStatusFetching", [String(++done), String(records.length)]));
+      });
+    }
+    return records;
+  }
+
+  const r = await browser.runtime.sendMessage({
+    type: "GET_DB_STATS",
+    profileId: exportProfileEl.value,
+    filter: exportSourceEl.value,
+    limit: Number(exportLimitEl.value)
+  });
+  if (!r || !r.ok) throw new Error(r?.reason || browser.i18n.getMessage("errorStatsFailed"));
+  return H.extractLinks(r.data).map(l => ({
+    shortUrl: l.shorturl,
+    longUrl: l.url,
+    title: l.title,
+    clicks: l.clicks,
+    created: l.timestamp
+  }));
+}
+
+/**
+ * Renders a QR code for a short URL in the chosen file format.
+ * @param {string} url - The short URL to encode.
+ * @returns {Promise<Uint8Array|string|null>} The PNG bytes or SVG text, or null if rendering failed.
+ */
+async function qrFile(url) {
+  try {
+    if (qrFormat === "svg") return QrRenderer.toSvg(url, qrOptions);
+    return new Uint8Array(await (await QrRenderer.toPngBlob(url, qrOptions)).arrayBuffer());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Exports the selected links in the chosen format, optionally as a ZIP with QR codes.
+ */
+async function runExport() {
+  btnExport.disabled = true;
+  setStatus(browser.i18n.getMessage("exportStatusCollecting"));
+  try {
+    const records = await collectExportRecords();
+    if (!records.length) {
+      setStatus(browser.i18n.getMessage("historyEmpty"));
+      return;
+    }
+
+    const { content, type, extension } = LinkExport.serialize(records, exportFormatEl.value);
+    const baseName = `kurl-links-${new Date().toISOString().slice(0, 10)}`;
+    if (!exportQrEl.checked) {
+      H.downloadText(content, `${baseName}.${extension}`, type);
+    } else {
+      const files = [{ name: `${baseName}.${extension}`, data: content }];
+      const used = new Set();
+      for (const record of records) {
+        const qr = await qrFile(record.shortUrl);
+        if (!qr) continue;
+        let name = (record.shortUrl.split("/").pop() || "link").replace(/[^\w.-]+/g, "_");
+        while (used.has(name)) name += "_";
+        used.add(name);
+        files.push({ name: `qr/${name}.${qrFormat}`, data: qr });
+      }
+      H.downloadBlob(LinkExport.buildZip(files), `${baseName}.zip`);
+    }
+    setStatus(browser.i18n.getMessage("exportStatusDone", String(records.length)), "ok");
+  } catch (e) {
+    setStatus(String(e?.message || e));
+  } finally {
+    btnExport.disabled = false;
+  }
+}
+
+// Event Listeners
+[searchEl, dateFromEl, dateToEl].forEach(el => el.addEventListener("input", render));
+[sortEl, domainEl].forEach(el => el.addEventListener("change", render));
+
+exportSourceEl.addEventListener("change", () => {
+  const fromServer = exportSourceEl.value !== "history";
+  exportLimitEl.style.display = fromServer ? "" : "none";
+  exportProfileEl.style.display = fromServer && profiles.length > 1 ? "" : "none";
+  exportClicksEl.disabled = fromServer;
+});
+
+btnExport.addEventListener("click", runExport);
+
+btnLabels.addEventListener("click", () => {
+  browser.tabs.create({ url: browser.runtime.getURL("labels.html") });
+});
+
+btnClear.addEventListener("click", async () => {
+  if (!btnClear.classList.contains("confirm-delete")) {
+    btnClear.textContent = browser.i18n.getMessage("popupBtnConfirmDelete");
+    btnClear.classList.add("confirm-delete");
+    setTimeout(() => {
+      btnClear.textContent = browser.i18n.getMessage("historyBtnClear");
+      btnClear.classList.remove("confirm-delete");
+    }, 4000);
+    return;
+  }
+  btnClear.classList.remove("confirm-delete");
+  btnClear.textContent = browser.i18n.getMessage("historyBtnClear");
+  // The background script writes the history, so the clear is serialized with its other writes.
+  const r = await browser.runtime.sendMessage({ type: "CLEAR_HISTORY" });
+  if (!r?.ok) return setStatus(r?.reason || browser.i18n.getMessage("historyStatusClearFailed"));
+  setStatus(browser.i18n.getMessage("historyStatusCleared"), "ok");
+});
+
+// Keep the page in sync with links created or deleted elsewhere (popup, context menu).
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes[LinkHistory.STORAGE_KEY]) {
+    entries = changes[LinkHistory.STORAGE_KEY].newValue || [];
+    renderDomainFilter();
+    render();
+  }
+  if (area === "local" && changes[ClickTrends.STORAGE_KEY]) {
+    trends = changes[ClickTrends.STORAGE_KEY].newValue || {};
+    render();
+  }
+});
+
+/**
+ * Initializes the history page by loading the history and the profiles.
+ */
+async function init() {
+  internationalize();
+  const settings = await H.getSettings();
+  profiles = settings.profiles;
+  qrOptions = QrRenderer.fromSettings(settings);
+  qrFormat = settings.qrFormat;
+  trendsEnabled = settings.trendsEnabled;
+  copyFormat = settings.copyFormat;
+  copyTemplates = settings.copyTemplates;
+  trends = await ClickTrends.all();
+  profiles.forEach(p => exportProfileEl.appendChild(new Option(H.profileLabel(p), p.id)));
+  exportProfileEl.value = settings.activeProfileId;
+  entries = await LinkHistory.list();
+  renderDomainFilter();
+  render();
+}
+
+// Run initialization when the script loads.
+init();
@@ -0,0 +1,303 @@
+/**
+ * kurl - import.js
+ * Bulk import on the options page: reads a CSV (url, keyword, title) or plain text
+ * file, validates it with a dry run, and creates the links one by one with throttling.
+ * The job is saved after every row, so an interrupted import can be resumed later.
+ */
+
+(function() {
+  const H = window.Helpers;
+  const $ = (id) => document.getElementById(id);
+
+  const JOB_KEY = "importJob";
+  // Pause between two requests so large imports don't overload the YOURLS server.
+  const THROTTLE_MS = 500;
+  // Errors that affect every remaining row; the import pauses on the row so it can be resumed.
+  const PAUSE_CODES = ["unreachable", "rateLimited", "locked", "permission"];
+
+  // Element references
+  const fileEl = $("importFile");
+  const btnDryRun = $("importDryRun");
+  const btnStart = $("importStart");
+  const btnPause = $("importPause");
+  const btnReport = $("importReport");
+  const btnDiscard = $("importDiscard");
+  const progressEl = $("importProgress");
+  const issuesEl = $("importIssues");
+  const statusBox = $("importStatus");
+
+  // The current job: { fileName, profileId, rows: [{line, url, keyword, title}], results: [], next }.
+  let job = null;
+  let running = false;
+  let pauseRequested = false;
+
+  /**
+   * Sets the import status message.
+   * @param {string} text - The message to display.
+   * @param {string} [cls=""] - An optional class to add (e.g., "ok").
+   */
+  function setStatus(text, cls = "") {
+    statusBox.className = "info " + cls;
+    statusBox.textContent = text;
+  }
+
+  /**
+   * Turns the content of an import file into rows.
+   * CSV files may start with a header row naming the `url`, `keyword` and `title` columns;
+   * otherwise the columns are taken in that order. Text files contain one URL per line,
+   * unless they start with such a header. URLs may contain commas and semicolons, so
+   * other content doesn't make a text file CSV.
+   * @param {string} text - The file content.
+   * @param {string} fileName - The file name, used to tell CSV from plain text.
+   * @returns {Array<{line: number, url: string, keyword: string, title: string}>}
+   */
+  function parseRows(text, fileName) {
+    const isCsv = /\.csv$/i.test(fileName) || hasHeader(text);
+    if (!isCsv) {
+      return text.split(/\r?\n/)
+        .map((l, i) => ({ line: i + 1, url: l.trim(), keyword: "", title: "" }))
+        .filter(r => r.url);
+    }
+
+    const records = H.parseCsv(text);
+    let cols = { url: 0, keyword: 1, title: 2 };
+    let offset = 1;
+    const header = (records[0] || []).map(h => h.trim().toLowerCase());
+    if (header.includes("url")) {
+      cols = { url: header.indexOf("url"), keyword: header.indexOf("keyword"), title: header.indexOf("title") };
+      records.shift();
+      offset = 2;
+    }
+    return records.map((r, i) => ({
+      line: i + offset,
+      url: (r[cols.url] || "").trim(),
+      keyword: cols.keyword >= 0 ? (r[cols.keyword] || "").trim() : "",
+      title: cols.title >= 0 ? (r[cols.title] || "").trim() : ""
+    }));
+  }
+
+  /**
+   * Checks whether the first line of a file is a CSV header with a `url` column.
+   * @param {string} text - The file content.
+   * @returns {boolean}
+   */
+  function hasHeader(text) {
+    const first = H.parseCsv(text.split(/\r?\n/, 1)[0])[0] || [];
+    return first.length > 1 && first.some(h => h.trim().toLowerCase() === "url");
+  }
+
+  /**
+   * Checks a row with the same URL rule the popup uses.
+   * @param {object} row - The row to check.
+   * @returns {boolean}
+   */
+  function isValidRow(row) {
+    return /^https?:\/\//i.test(row.url);
+  }
+
+  /**
+   * Saves the job so the import can be resumed after the page is closed.
+   */
+  async function saveJob() {
+    await browser.storage.local.set({ [JOB_KEY]: job });
+  }
+
+  /**
+   * Updates buttons and progress to match the job state.
+   */
+  function updateUi() {
+    const hasJob = !!job;
+    const remaining = hasJob ? job.rows.length - job.next : 0;
+    btnDryRun.disabled = !hasJob || running || job.next > 0;
+    btnStart.disabled = !hasJob || running || remaining === 0;
+    btnStart.textContent = browser.i18n.getMessage(hasJob && job.next > 0 ? "importBtnResume" : "importBtnStart");
+    btnPause.disabled = !running;
+    btnReport.disabled = !hasJob || running || job.next === 0;
+    btnDiscard.disabled = !hasJob || running;
+    fileEl.disabled = running;
+    progressEl.style.display = hasJob && job.next > 0 ? "block" : "none";
+    if (hasJob) {
+      progressEl.max = job.rows.length || 1;
+      progressEl.value = job.next;
+    }
+  }
+
+  /**
+   * Shows a list of problems found in the rows.
+   * @param {string[]} issues - One line per problem.
+   */
+  function showIssues(issues) {
+    issuesEl.textContent = issues.join("\n");
+    issuesEl.style.display = issues.length ? "block" : "none";
+  }
+
+  /**
+   * Validates all rows without creating any links: invalid URLs, keywords used
+   * twice in the file, and keywords that already exist on the server. If the server
+   * can't be asked (unreachable, locked, rejected credentials, …), the dry run fails
+   * rather than reporting the remaining keywords as free.
+   */
+  async function dryRun() {
+    running = true;
+    updateUi();
+    const issues = [];
+    const seen = new Map();
+    const withKeyword = [];
+
+    for (const row of job.rows) {
+      if (!isValidRow(row)) {
+        issues.push(browser.i18n.getMessage("importIssueInvalidUrl", [String(row.line), row.url]));
+        continue;
+      }
+      if (!row.keyword) continue;
+      const key = row.keyword.toLowerCase();
+      if (seen.has(key)) {
+        issues.push(browser.i18n.getMessage("importIssueDuplicateKeyword", [String(row.line), row.keyword, String(seen.get(key))]));
+      } else {
+        seen.set(key, row.line);
+        withKeyword.push(row);
+      }
+    }
+
+    let failure = null;
+    for (let i = 0; i < withKeyword.length; i++) {
+      const row = withKeyword[i];
+      setStatus(browser.i18n.getMessage("importStatusChecking", [String(i + 1), String(withKeyword.length)]));
+      const r = await browser.runtime.sendMessage({ type: "CHECK_KEYWORD", keyword: row.keyword, profileId: job.profileId });
+      if (!r?.ok) {
+        failure = r?.reason || browser.i18n.getMessage("errorStatsFailed");
+        break;
+      }
+      if (!r.available) issues.push(browser.i18n.getMessage("importIssueKeywordTaken", [String(row.line), row.keyword]));
+      await new Promise(resolve => setTimeout(resolve, THROTTLE_MS));
+    }
+
+    running = false;
+    showIssues(issues);
+    if (failure) {
+      setStatus(browser.i18n.getMessage("importStatusDryRunFailed", failure));
+      updateUi();
+      return;
+    }
+    setStatus(browser.i18n.getMessage(issues.length ? "importStatusDryRunIssues" : "importStatusDryRunOk", [String(job.rows.length), String(issues.length)]), issues.length ? "" : "ok");
+    updateUi();
+  }
+
+  /**
+   * Creates the links for all remaining rows, one at a time. If the server can't be
+   * used right now (see `PAUSE_CODES`), the import pauses on the current row instead of
+   * marking the rest as failed, so "Resume" retries it.
+   */
+  async function runImport() {
+    running = true;
+    pauseRequested = false;
+    let pauseReason = "";
+    updateUi();
+
+    while (job.next < job.rows.length && !pauseRequested) {
+      const row = job.rows[job.next];
+      setStatus(browser.i18n.getMessage("importStatusRunning", [String(job.next + 1), String(job.rows.length)]));
+
+      let result;
+      if (!isValidRow(row)) {
+        result = { status: "invalid", shortUrl: "", error: browser.i18n.getMessage("popupErrorInvalidUrl") };
+      } else {
+        const r = await browser.runtime.sendMessage({
+          type: "SHORTEN_URL",
+          longUrl: row.url,
+          keyword: row.keyword,
+          title: row.title,
+          profileId: job.profileId,
+          quiet: true
+        });
+        if (PAUSE_CODES.includes(r?.code)) {
+          pauseRequested = true;
+          pauseReason = r.reason || "";
+          break;
+        }
+        result = r?.ok
+          ? { status: r.already ? "exists" : "created", shortUrl: r.shortUrl || "", error: "" }
+          : { status: "failed", shortUrl: "", error: r?.reason || browser.i18n.getMessage("errorShortenFailed") };
+        await new Promise(resolve => setTimeout(resolve, THROTTLE_MS));
+      }
+
+      job.results[job.next] = result;
+      job.next++;
+      await saveJob();
+      updateUi();
+    }
+
+    running = false;
+    const failed = job.results.filter(r => r && (r.status === "failed" || r.status === "invalid")).length;
+    if (job.next < job.rows.length) {
+      const paused = browser.i18n.getMessage("importStatusPaused", [String(job.next), String(job.rows.length)]);
+      setStatus(pauseReason ? `${paused} ${pauseReason}` : paused);
+    } else {
+      setStatus(browser.i18n.getMessage("importStatusDone", [String(job.rows.length - failed), String(job.rows.length), String(failed)]), failed ? "" : "ok");
+    }
+    updateUi();
+  }
+
+  /**
+   * Offers the per-row results as a CSV download.
+   */
+  function downloadReport() {
+    const rows = [["line", "url", "keyword", "title", "status", "short_url", "error"]];
+    job.rows.forEach((row, i) => {
+      const r = job.results[i] || { status: "pending", shortUrl: "", error: "" };
+      rows.push([row.line, row.url, row.keyword, row.title, r.status, r.shortUrl, r.error]);
+    });
+    const base = (job.fileName || "import").replace(/\.[^.]+$/, "");
+    H.downloadText(H.toCsv(rows), `kurl-import-report-${base}.csv`, "text/csv");
+  }
+
+  // Event Listeners
+  fileEl.addEventListener("change", async () => {
+    const file = fileEl.files[0];
+    if (!file) return;
+    const rows = parseRows(await file.text(), file.name);
+    fileEl.value = "";
+    if (!rows.length) {
+      setStatus(browser.i18n.getMessage("importStatusEmpty"));
+      return;
+    }
+    job = { fileName: file.name, profileId: $("profileList").value, rows, results: [], next: 0 };
+    await saveJob();
+    showIssues([]);
+    setStatus(browser.i18n.getMessage("importStatusLoaded", [String(rows.length), file.name]));
+    updateUi();
+  });
+
+  btnDryRun.addEventListener("click", dryRun);
+  btnStart.addEventListener("click", runImport);
+  btnReport.addEventListener("click", downloadReport);
+
+  btnPause.addEventListener("click", () => {
+    pauseRequested = true;
+    btnPause.disabled = true;
+  });
+
+  btnDiscard.addEventListener("click", async () => {
+    job = null;
+    await browser.storage.local.remove(JOB_KEY);
+    showIssues([]);
+    setStatus(browser.i18n.getMessage("importStatusIdle"));
+    updateUi();
+  });
+
+  /**
+   * Restores an unfinished import job, if any.
+   */
+  async function init() {
+    const o = await browser.storage.local.get({ [JOB_KEY]: null });
+    job = o[JOB_KEY];
+    if (job && job.next < job.rows.length) {
+      setStatus(browser.i18n.getMessage("importStatusResumable", [job.fileName, String(job.next), String(job.rows.length)]));
+    } else if (job) {
+      setStatus(browser.i18n.getMessage("importStatusLoaded", [String(job.rows.length), job.fileName]));
+    }
+    updateUi();
+  }
+
+  init();
+})();
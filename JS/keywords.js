@@ -0,0 +1,140 @@
+/**
+ * @file keywords.js
+ * @description Generates keyword suggestions from a page title or URL, and checks
+ * keywords against the character set YOURLS accepts. YOURLS silently drops any
+ * character outside its charset (digits and lowercase letters by default, or also
+ * uppercase letters with `YOURLS_URL_CONVERT` 62); hyphens need a plugin.
+ * Like helpers.js, this module is an IIFE exposing its API on `window.Keywords`.
+ */
+
+window.Keywords = (function() {
+  /** The default template for the "template" suggestion style. */
+  const DEFAULT_TEMPLATE = "{site}-{yyyy}{mm}-{slug}";
+
+  // Keep suggested keywords short enough to be worth shortening.
+  const MAX_SLUG_WORDS = 4;
+  const MAX_LENGTH = 40;
+  const RANDOM_LENGTH = 6;
+
+  // Letters that have no decomposed form to strip accents from.
+  const TRANSLITERATIONS = { "ß": "ss", "æ": "ae", "œ": "oe", "ø": "o", "ł": "l" };
+
+  /**
+   * Returns the characters a keyword may consist of.
+   * @param {{keywordCharset: string, keywordHyphens: boolean}} rules - From `Helpers.getSettings()`.
+   * @returns {string}
+   */
+  function alphabet(rules) {
+    const lower = "0123456789abcdefghijklmnopqrstuvwxyz";
+    return rules?.keywordCharset === "62" ? lower + "ABCDEFGHIJKLMNOPQRSTUVWXYZ" : lower;
+  }
+
+  /**
+   * Checks whether a keyword only uses characters YOURLS accepts.
+   * @param {string} keyword - The keyword to check.
+   * @param {object} rules - The keyword settings.
+   * @returns {boolean}
+   */
+  function isValid(keyword, rules) {
+    const chars = alphabet(rules) + (rules?.keywordHyphens ? "-" : "");
+    return !!keyword && [...keyword].every(c => chars.includes(c));
+  }
+
+  /**
+   * Turns arbitrary text into a keyword: accents are removed, runs of other characters
+   * become a hyphen (or are dropped if hyphens are not allowed).
+   * @param {string} text - The text to convert.
+   * @param {object} rules - The keyword settings.
+   * @returns {string}
+   */
+  function sanitize(text, rules) {
+    let s = String(text || "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+      .replace(/[ßæœøł]/gi, c => TRANSLITERATIONS[c.toLowerCase()]);
+    if (rules?.keywordCharset !== "62") s = s.toLowerCase();
+    const chars = alphabet(rules);
+    const sep = rules?.keywordHyphens ? "-" : "";
+    s = [...s].map(c => (chars.includes(c) ? c : " ")).join("").trim().replace(/ +/g, sep);
+    return s.slice(0, MAX_LENGTH).replace(/-+$/, "");
+  }
+
+  /**
+   * Builds a slug from the first words of the title, or from the last URL path segment.
+   * @param {string} url - The long URL.
+   * @param {string} title - The page title, if known.
+   * @param {object} rules - The keyword settings.
+   * @returns {string}
+   */
+  function slug(url, title, rules) {
+    let text = title;
+    if (!text) {
+      try {
+        const segments = new URL(url).pathname.split("/").filter(Boolean);
+        text = decodeURIComponent(segments.pop() || "").replace(/\.[a-z0-9]+$/i, "");
+      } catch {
+        text = "";
+      }
+    }
+    const words = String(text || "").split(/[\s\-_.,:;/|]+/).filter(Boolean).slice(0, MAX_SLUG_WORDS);
+    return sanitize(words.join(" "), rules);
+  }
+
+  /**
+   * Returns a random keyword made of allowed characters.
+   * @param {object} rules - The keyword settings.
+   * @returns {string}
+   */
+  function random(rules) {
+    const chars = alphabet(rules);
+    const values = crypto.getRandomValues(new Uint32Array(RANDOM_LENGTH));
+    return Array.from(values, v => chars[v % chars.length]).join("");
+  }
+
+  /**
+   * Returns the site name of a URL: its host without "www." and the top-level domain.
+   * @param {string} url - The long URL.
+   * @returns {string}
+   */
+  function site(url) {
+    try {
+      const labels = new URL(url).hostname.replace(/^www\./, "").split(".");
+      return labels.length > 1 ? labels.slice(0, -1).join(".") : labels[0];
+    } catch {
+      return "";
+    }
+  }
+
+  /**
+   * Suggests a keyword in the given style.
+   * @param {"slug"|"date"|"random"|"template"} style - The suggestion style.
+   * @param {{url: string, title?: string, template?: string}} source - The long URL, the
+   *   page title and the template (placeholders: {site}, {yyyy}, {mm}, {dd}, {slug}, {random}).
+   * @param {object} rules - The keyword settings.
+   * @returns {string} The keyword, or an empty string if nothing could be derived.
+   */
+  function suggest(style, source, rules) {
+    const now = new Date();
+    const yyyy = String(now.getFullYear());
+    const mm = String(now.getMonth() + 1).padStart(2, "0");
+    const dd = String(now.getDate()).padStart(2, "0");
+    const pageSlug = slug(source.url, source.title, rules);
+
+    switch (style) {
+      case "random": return random(rules);
+      case "date": return sanitize(`${yyyy}${mm}${dd} ${pageSlug}`, rules);
+      case "template": {
+        const values = { site: site(source.url), yyyy, mm, dd, slug: pageSlug, random: random(rules) };
+        const text = (source.template || DEFAULT_TEMPLATE).replace(/\{(\w+)\}/g, (m, name) => values[name] ?? "");
+        // Keep the template's own separators, as far as the charset allows.
+        return sanitize(text.replace(/-/g, " "), rules);
+      }
+      default: return pageSlug;
+    }
+  }
+
+  return {
+    DEFAULT_TEMPLATE,
+    isValid,
+    sanitize,
+    suggest
+  };
+})();
@@ -0,0 +1,330 @@
+/**
+ * kurl - labels.js
+ * Controls the QR label page: collects links from the local history, a server link
+ * list or pasted keywords, and lays the selected ones out as a printable sheet of
+ * labels with the QR code, the short URL and the title.
+ */
+
+const H = window.Helpers;
+const LinkHistory = window.LinkHistory;
+const QrRenderer = window.QrRenderer;
+const $ = (id) => document.getElementById(id);
+
+/** The label templates: columns and rows per page. */
+const TEMPLATES = {
+  large: { key: "labelsTemplateLarge", cols: 2, rows: 3 },
+  medium: { key: "labelsTemplateMedium", cols: 3, rows: 4 },
+  address: { key: "labelsTemplateAddress", cols: 3, rows: 7 },
+  small: { key: "labelsTemplateSmall", cols: 4, rows: 6 },
+  stickers: { key: "labelsTemplateStickers", cols: 5, rows: 8 }
+};
+/** The page sizes in millimetres. */
+const PAGE_SIZES = {
+  A4: { width: 210, height: 297 },
+  letter: { width: 215.9, height: 279.4 },
+  A5: { width: 148, height: 210 }
+};
+const PAGE_MARGIN_MM = 10;
+const CELL_PADDING_MM = 2;
+
+// Element references
+const sourceEl = $("labelSource");
+const profileEl = $("labelProfile");
+const limitEl = $("labelLimit");
+const searchEl = $("labelSearch");
+const keywordFields = $("keywordFields");
+const keywordsEl = $("labelKeywords");
+const linksEl = $("labelLinks");
+const templateEl = $("labelTemplate");
+const pageSizeEl = $("labelPageSize");
+const btnLoad = $("loadLinks");
+const btnSelectAll = $("selectAll");
+const btnSelectNone = $("selectNone");
+const btnPrint = $("printLabels");
+const sheetsEl = $("labelSheets");
+const pageStyle = $("pageStyle");
+const statusBox = $("status");
+
+// The loaded links ({shortUrl, title, longUrl}), the short URLs selected for
+// printing, and the QR code style from the settings.
+let links = [];
+let selected = new Set();
+let qrOptions = QrRenderer.DEFAULTS;
+
+/**
+ * Updates all text content in the document based on the browser's locale.
+ * It uses the `data-i18n-key` attributes to find and replace text.
+ */
+function internationalize() {
+  document.querySelectorAll('[data-i18n-key]').forEach(el => {
+    const key = el.getAttribute('data-i18n-key');
+    const message = browser.i18n.getMessage(key);
+    if (message) {
+      if (el.placeholder) el.placeholder = message;
+      else el.textContent = message;
+    }
+  });
+}
+
+/**
+ * Sets the status message text and appearance.
+ * @param {string} text - The message to display.
+ * @param {string} [cls=""] - An optional class to add (e.g., "ok").
+ */
+function setStatus(text, cls = "") {
+  statusBox.className = "info " + cls;
+  statusBox.textContent = text;
+}
+
+/**
+ * Shows the controls that apply to the selected source.
+ */
+function updateSourceFields() {
+  const source = sourceEl.value;
+  const server = source !== "history" && source !== "keywords";
+  profileEl.style.display = source === "history" ? "none" : "";
+  limitEl.style.display = server ? "" : "none";
+  searchEl.style.display = source === "history" ? "" : "none";
+  keywordFields.style.display = source === "keywords" ? "" : "none";
+}
+
+/**
+ * Loads the local history, filtered by the search text.
+ * @returns {Promise<object[]>}
+ */
+async function loadHistory() {
+  const q = searchEl.value.trim().toLowerCase();
+  const entries = await LinkHistory.list();
+  return entries
+    .filter(e => !q || [e.title, e.longUrl, e.shortUrl, e.keyword].some(v => String(v || "").toLowerCase().includes(q)))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(e => ({ shortUrl: e.shortUrl, title: e.title, longUrl: e.longUrl }));
+}
+
+/**
+ * Loads a server link list from the YOURLS `stats` action.
+ * @returns {Promise<object[]>}
+ */
+async function loadServerList() {
+  const r = await browser.runtime.sendMessage({
+    type: "GET_DB_STATS",
+    profileId: profileEl.value,
+    filter: sourceEl.value,
+    limit: Number(limitEl.value)
+  });
+  if (!r || !r.ok) throw new Error(r?.reason || browser.i18n.getMessage("errorStatsFailed"));
+  return H.extractLinks(r.data).map(l => ({ shortUrl: l.shorturl, title: l.title, longUrl: l.url }));
+}
+
+/**
+ * Looks up the pasted keywords or short URLs on the server.
+ * @returns {Promise<{found: object[], missing: string[]}>} The links, and the lines that couldn't be found.
+ */
+async function loadKeywords() {
+  const lines = [...new Set(keywordsEl.value.split(/[\r\n]+/).map(l => l.trim()).filter(Boolean))];
+  const results = await H.mapLimit(lines, 3, async (line) => {
+    const r = await browser.runtime.sendMessage({ type: "GET_STATS", shortUrl: line, profileId: profileEl.value });
+    const l = r?.ok ? (r.data?.link || r.data?.url || null) : null;
+    return l?.shorturl ? { shortUrl: l.shorturl, title: l.title || "", longUrl: l.url || "" } : null;
+  });
+  const isLink = (r) => r && !r.error;
+  return { found: results.filter(isLink), missing: lines.filter((_, i) => !isLink(results[i])) };
+}
+
+/**
+ * Loads the links of the selected source and selects all of them.
+ */
+async function loadLinks() {
+  btnLoad.disabled = true;
+  setStatus(browser.i18n.getMessage("exportStatusCollecting"));
+  let message = "";
+  try {
+    if (sourceEl.value === "history") {
+      links = await loadHistory();
+    } else if (sourceEl.value === "keywords") {
+      const { found, missing } = await loadKeywords();
+      links = found;
+      if (missing.length) message = browser.i18n.getMessage("labelsStatusNotFound", missing.join(", "));
+    } else {
+      links = await loadServerList();
+    }
+  } catch (e) {
+    links = [];
+    message = String(e?.message || e);
+  } finally {
+    btnLoad.disabled = false;
+  }
+  selected = new Set(links.map(l => l.shortUrl));
+  renderLinks();
+  renderSheets();
+  if (message) setStatus(message);
+}
+
+/**
+ * Renders the loaded links with a checkbox each.
+ */
+function renderLinks() {
+  linksEl.innerHTML = "";
+  if (!links.length) {
+    const li = document.createElement("li");
+    li.className = "link-empty";
+    li.textContent = browser.i18n.getMessage("historyEmpty");
+    linksEl.appendChild(li);
+    return;
+  }
+  for (const link of links) {
+    const li = document.createElement("li");
+    const label = document.createElement("label");
+    label.className = "row";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = selected.has(link.shortUrl);
+    box.addEventListener("change", () => {
+      if (box.checked) selected.add(link.shortUrl);
+      else selected.delete(link.shortUrl);
+      renderSheets();
+    });
+    const text = document.createElement("span");
+    text.textContent = link.title ? `${link.title} — ${link.shortUrl}` : link.shortUrl;
+    label.append(box, text);
+    li.appendChild(label);
+    linksEl.appendChild(li);
+  }
+}
+
+/**
+ * Computes the label layout of a template on a page size, in millimetres.
+ * Wide labels put the text next to the QR code, the others below it.
+ * @param {{cols: number, rows: number}} template
+ * @param {{width: number, height: number}} page
+ * @returns {{cellWidth: number, cellHeight: number, qr: number, font: number, horizontal: boolean}}
+ */
+function layout(template, page) {
+  const cellWidth = (page.width - 2 * PAGE_MARGIN_MM) / template.cols;
+  const cellHeight = (page.height - 2 * PAGE_MARGIN_MM) / template.rows;
+  const inner = (size) => size - 2 * CELL_PADDING_MM;
+  if (cellWidth >= cellHeight * 1.4) {
+    return { cellWidth, cellHeight, horizontal: true, qr: Math.min(inner(cellHeight), cellWidth / 2), font: Math.min(3.5, cellHeight / 9) };
+  }
+  // Room for the short URL and two lines of title.
+  const text = Math.min(12, cellHeight * 0.28);
+  return { cellWidth, cellHeight, horizontal: false, qr: Math.min(inner(cellWidth), inner(cellHeight) - text), font: text / 3.4 };
+}
+
+/**
+ * Builds one label.
+ * @param {object} link - The link to print.
+ * @returns {HTMLElement}
+ */
+function buildLabel(link) {
+  const cell = document.createElement("div");
+  cell.className = "label-cell";
+  const img = document.createElement("img");
+  img.className = "label-qr";
+  img.alt = link.shortUrl;
+  // SVG stays sharp at any print resolution.
+  img.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(QrRenderer.toSvg(link.shortUrl, qrOptions));
+  const text = document.createElement("div");
+  text.className = "label-text";
+  const url = document.createElement("div");
+  url.className = "label-url";
+  url.textContent = link.shortUrl.replace(/^https?:\/\//, "");
+  const title = document.createElement("div");
+  title.className = "label-title";
+  title.textContent = link.title || link.longUrl || "";
+  text.append(url, title);
+  cell.append(img, text);
+  return cell;
+}
+
+/**
+ * Lays out the selected links on pages of the chosen template and size.
+ */
+function renderSheets() {
+  const template = TEMPLATES[templateEl.value] || TEMPLATES.medium;
+  const page = PAGE_SIZES[pageSizeEl.value] || PAGE_SIZES.A4;
+  const box = layout(template, page);
+  const chosen = links.filter(l => selected.has(l.shortUrl));
+  const perPage = template.cols * template.rows;
+
+  pageStyle.textContent = `@page { size: ${page.width}mm ${page.height}mm; margin: 0; }`;
+  sheetsEl.style.setProperty("--page-width", `${page.width}mm`);
+  sheetsEl.style.setProperty("--page-height", `${page.height}mm`);
+  sheetsEl.style.setProperty("--page-margin", `${PAGE_MARGIN_MM}mm`);
+  sheetsEl.style.setProperty("--label-cols", template.cols);
+  sheetsEl.style.setProperty("--label-rows", template.rows);
+  sheetsEl.style.setProperty("--label-padding", `${CELL_PADDING_MM}mm`);
+  sheetsEl.style.setProperty("--label-qr", `${box.qr}mm`);
+  sheetsEl.style.setProperty("--label-font", `${box.font}mm`);
+  sheetsEl.classList.toggle("horizontal", box.horizontal);
+
+  sheetsEl.innerHTML = "";
+  for (let i = 0; i < chosen.length; i += perPage) {
+    const sheet = document.createElement("div");
+    sheet.className = "label-page";
+    chosen.slice(i, i + perPage).forEach(link => sheet.appendChild(buildLabel(link)));
+    sheetsEl.appendChild(sheet);
+  }
+  btnPrint.disabled = !chosen.length;
+  const pages = Math.ceil(chosen.length / perPage);
+  setStatus(browser.i18n.getMessage("labelsStatusSummary", [String(chosen.length), String(pages)]), chosen.length ? "ok" : "");
+}
+
+/**
+ * Selects or deselects all loaded links.
+ * @param {boolean} all - Whether to select all links.
+ */
+function selectAll(all) {
+  selected = all ? new Set(links.map(l => l.shortUrl)) : new Set();
+  renderLinks();
+  renderSheets();
+}
+
+sourceEl.addEventListener("change", () => {
+  updateSourceFields();
+  if (sourceEl.value === "history") loadLinks();
+});
+
+let searchTimer = null;
+searchEl.addEventListener("input", () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(loadLinks, 300);
+});
+
+btnLoad.addEventListener("click", loadLinks);
+btnSelectAll.addEventListener("click", () => selectAll(true));
+btnSelectNone.addEventListener("click", () => selectAll(false));
+
+templateEl.addEventListener("change", async () => {
+  renderSheets();
+  await H.setSettings({ labelTemplate: templateEl.value });
+});
+
+pageSizeEl.addEventListener("change", async () => {
+  renderSheets();
+  await H.setSettings({ labelPageSize: pageSizeEl.value });
+});
+
+btnPrint.addEventListener("click", () => window.print());
+
+/**
+ * Initializes the label page with the saved template, page size and profiles,
+ * and loads the local history.
+ */
+async function init() {
+  internationalize();
+  const settings = await H.getSettings();
+  qrOptions = QrRenderer.fromSettings(settings);
+  for (const [id, template] of Object.entries(TEMPLATES)) {
+    templateEl.appendChild(new Option(`${browser.i18n.getMessage(template.key)} (${template.cols} × ${template.rows})`, id));
+  }
+  templateEl.value = TEMPLATES[settings.labelTemplate] ? settings.labelTemplate : "medium";
+  pageSizeEl.value = PAGE_SIZES[settings.labelPageSize] ? settings.labelPageSize : "A4";
+  settings.profiles.forEach(p => profileEl.appendChild(new Option(H.profileLabel(p), p.id)));
+  profileEl.value = settings.activeProfileId;
+  updateSourceFields();
+  await loadLinks();
+}
+
+// Run initialization when the script loads.
+init();
@@ -1,15 +1,103 @@
 const H = window.Helpers;
+const Vault = window.Vault;
+const SettingsSync = window.SettingsSync;
+const UrlCleaner = window.UrlCleaner;
+const QrRenderer = window.QrRenderer;
+const ClickMilestones = window.ClickMilestones;
+const CopyFormats = window.CopyFormats;
 const $ = (id) => document.getElementById(id);
 
 // Element references
+const profileList = $("profileList");
+const btnAddProfile = $("addProfile");
+const btnDeleteProfile = $("deleteProfile");
+const nameEl = $("profileName");
+const defaultEl = $("defaultProfile");
+const profileAutoCopyEl = $("profileAutoCopy");
+const profileStripEl = $("profileStripTracking");
 const urlEl = $("yourlsUrl");
 const keyEl = $("apiSignature");
+const authModeEl = $("authMode");
+const hashEl = $("signatureHash");
+const usernameEl = $("authUsername");
+const passwordEl = $("authPassword");
 const autoEl = $("autoCopy");
+const copyFormatEl = $("copyFormat");
+const copyTemplatesEl = $("copyTemplates");
+const quickEl = $("quickMode");
+const badgeLookupEl = $("badgeServerLookup");
+const keywordCharsetEl = $("keywordCharset");
+const keywordHyphensEl = $("keywordHyphens");
+const keywordTemplateEl = $("keywordTemplate");
+const qrForegroundEl = $("qrForeground");
+const qrBackgroundEl = $("qrBackground");
+const qrSizeEl = $("qrSize");
+const qrMarginEl = $("qrMargin");
+const qrLevelEl = $("qrErrorLevel");
+const qrFormatEl = $("qrFormatDefault");
+const btnQrLogoChoose = $("qrLogoChoose");
+const btnQrLogoRemove = $("qrLogoRemove");
+const qrLogoFile = $("qrLogoFile");
+const qrPreview = $("qrPreview");
+const trendsEnabledEl = $("trendsEnabled");
+const trendsIntervalEl = $("trendsInterval");
+const milestonesEnabledEl = $("milestonesEnabled");
+const milestoneThresholdsEl = $("milestoneThresholds");
+const milestoneQuietStartEl = $("milestoneQuietStart");
+const milestoneQuietEndEl = $("milestoneQuietEnd");
+const stripEl = $("stripTracking");
+const trackingParamsEl = $("trackingParams");
+const trackingRulesEl = $("trackingDomainRules");
+const btnResetTracking = $("resetTracking");
+const redirectRulesBody = $("redirectRules");
+const btnAddRule = $("addRedirectRule");
+const btnResetRules = $("resetRedirectRules");
+const btnExportRules = $("exportRedirectRules");
+const btnImportRules = $("importRedirectRules");
+const importRulesFile = $("importRedirectFile");
+const redirectTestEl = $("redirectTestUrl");
+const redirectTestResult = $("redirectTestResult");
+const shortcutList = $("shortcutList");
+const vaultStatusBox = $("vaultStatus");
+const vaultUnlockEl = $("vaultUnlockPassphrase");
+const vaultPassEl = $("vaultPassphrase");
+const vaultConfirmEl = $("vaultConfirm");
+const vaultIdleEl = $("vaultIdle");
+const btnVaultUnlock = $("vaultUnlock");
+const btnVaultSet = $("vaultSet");
+const btnVaultLock = $("vaultLock");
+const btnVaultRemove = $("vaultRemove");
+const syncEnabledEl = $("syncEnabled");
+const syncSecretsEl = $("syncSecrets");
+const syncStatusBox = $("syncStatus");
+const backupSecretsEl = $("backupSecrets");
+const btnExportSettings = $("exportSettings");
+const btnImportSettings = $("importSettings");
+const importSettingsFile = $("importSettingsFile");
 const btnSave = $("save");
 const btnTest = $("test");
+const btnGrant = $("grantPerm");
 const btnRemove = $("removePerm");
 const statusBox = $("status");
 
+// The QR code logo as a data URL; persisted on "Save" like the other fields.
+let qrLogo = "";
+// The largest logo side in pixels; logos are scaled down to keep the settings small.
+const QR_LOGO_MAX_SIZE = 128;
+const QR_PREVIEW_TEXT = "https://example.com/kurl";
+
+// Working copy of the profiles being edited; persisted on "Save".
+let profiles = [];
+let activeProfileId = "";
+let selectedId = "";
+
+// "off", "locked" or "unlocked" (see vault.js). While locked, the profile secrets
+// in the working copy are empty and their sealed form is saved back unchanged.
+let vaultState = "off";
+
+// Working copy of the redirect-unwrapping rules; persisted on "Save".
+let redirectRules = [];
+
 /**
  * Updates all text content in the document based on the browser's locale.
  * It uses the `data-i18n-key` attributes to find and replace text.
@@ -35,15 +123,382 @@ function setStatus(text, cls = "") {
   statusBox.textContent = text;
 }
 
+/**
+ * Reads the authentication fields of the form.
+ * @returns {{authMode: string, apiSignature: string, signatureHash: string, username: string, password: string}}
+ */
+function readCredentials() {
+  return {
+    authMode: authModeEl.value,
+    apiSignature: keyEl.value.trim(),
+    signatureHash: hashEl.value,
+    username: usernameEl.value.trim(),
+    password: passwordEl.value
+  };
+}
+
+/**
+ * Reads the profile defaults of the form; "Use the global setting" leaves a default unset.
+ * @returns {{autoCopy?: boolean, stripTracking?: boolean}}
+ */
+function readProfileDefaults() {
+  const defaults = {};
+  if (profileAutoCopyEl.value) defaults.autoCopy = profileAutoCopyEl.value === "on";
+  if (profileStripEl.value) defaults.stripTracking = profileStripEl.value === "on";
+  return defaults;
+}
+
+/**
+ * Formats a profile default for its select: "" (global), "on" or "off".
+ * @param {boolean|undefined} value
+ * @returns {string}
+ */
+function defaultOption(value) {
+  return typeof value === "boolean" ? (value ? "on" : "off") : "";
+}
+
+/**
+ * Shows only the credential fields the selected authentication mode uses.
+ */
+function updateAuthFields() {
+  const mode = authModeEl.value;
+  $("signatureFields").style.display = mode === "password" ? "none" : "";
+  $("hashFields").style.display = mode === "timed" ? "" : "none";
+  $("passwordFields").style.display = mode === "password" ? "" : "none";
+}
+
+/**
+ * Copies the form fields back into the currently selected profile.
+ */
+function commitForm() {
+  const profile = profiles.find(p => p.id === selectedId);
+  if (!profile) return;
+  profile.name = nameEl.value.trim();
+  profile.yourlsUrl = H.sanitizeBaseUrl(urlEl.value);
+  const credentials = readCredentials();
+  if (vaultState === "locked") {
+    delete credentials.apiSignature;
+    delete credentials.password;
+  }
+  Object.assign(profile, credentials);
+  profile.defaults = readProfileDefaults();
+  if (defaultEl.checked) activeProfileId = profile.id;
+  else if (activeProfileId === profile.id && profiles.length > 1) {
+    activeProfileId = profiles.find(p => p.id !== profile.id).id;
+  }
+}
+
+/**
+ * Rebuilds the profile dropdown and loads the selected profile into the form.
+ */
+function renderProfiles() {
+  profileList.innerHTML = "";
+  for (const profile of profiles) {
+    const label = (profile.name || profile.yourlsUrl) ? H.profileLabel(profile) : browser.i18n.getMessage("optionsNewProfileName");
+    profileList.appendChild(new Option(label, profile.id));
+  }
+  profileList.value = selectedId;
+  btnDeleteProfile.disabled = profiles.length < 2;
+
+  const profile = profiles.find(p => p.id === selectedId) || {};
+  nameEl.value = profile.name || "";
+  urlEl.value = profile.yourlsUrl || "";
+  keyEl.value = profile.apiSignature || "";
+  authModeEl.value = profile.authMode || "signature";
+  hashEl.value = profile.signatureHash || "md5";
+  usernameEl.value = profile.username || "";
+  passwordEl.value = profile.password || "";
+  updateAuthFields();
+  profileAutoCopyEl.value = defaultOption(profile.defaults?.autoCopy);
+  profileStripEl.value = defaultOption(profile.defaults?.stripTracking);
+  defaultEl.checked = profile.id === activeProfileId;
+  defaultEl.disabled = profiles.length < 2;
+  updateGrantButton();
+}
+
+/**
+ * Returns the host permission pattern for a server URL.
+ * @param {string} url - The YOURLS base URL, as entered.
+ * @returns {string|null} The pattern, or null if the URL is not valid.
+ */
+function originPattern(url) {
+  const base = H.sanitizeBaseUrl(url);
+  return base ? new URL(base).origin + "/*" : null;
+}
+
+/**
+ * Shows the "Grant Host Permission" button while the server URL in the form has no
+ * host permission yet.
+ */
+async function updateGrantButton() {
+  const origin = originPattern(urlEl.value);
+  const granted = !origin || await browser.permissions.contains({ origins: [origin] });
+  btnGrant.style.display = granted ? "none" : "";
+}
+
+/**
+ * Selects the profile whose server the popup could not reach for lack of the host
+ * permission, and points to the button that grants it. Firefox closes the popup when
+ * the permission prompt opens, so the popup sends the user here instead.
+ */
+async function showPendingGrant() {
+  const { yourls_grant_origin: origin } = await browser.storage.local.get("yourls_grant_origin");
+  if (!origin) return;
+  await browser.storage.local.remove("yourls_grant_origin");
+  const profile = profiles.find(p => originPattern(p.yourlsUrl) === `${origin}/*`);
+  if (profile) {
+    commitForm();
+    selectedId = profile.id;
+    renderProfiles();
+  }
+  setStatus(browser.i18n.getMessage("optionsStatusGrantPerm", origin));
+  btnGrant.style.display = "";
+  btnGrant.focus();
+}
+
+/**
+ * Returns the profiles as they are stored. With a master passphrase their secrets are
+ * sealed; if the vault locked itself in the meantime, the secrets are left as they were
+ * rather than written in plain text.
+ * @returns {Promise<object[]>}
+ */
+async function storedProfiles() {
+  if (vaultState === "off") return profiles.map(({ sealed, ...profile }) => profile);
+  const key = await Vault.getKey();
+  if (!key) return profiles.map(Vault.strip);
+  return Promise.all(profiles.map(p => Vault.seal(p, key)));
+}
+
+/**
+ * Decrypts the secrets of the profiles in the working copy, if the vault is unlocked.
+ */
+async function openProfiles() {
+  const key = await Vault.getKey();
+  if (key) profiles = await Promise.all(profiles.map(p => Vault.open(p, key)));
+}
+
+/**
+ * Shows the state of the master passphrase and enables the matching controls.
+ * Secret fields can't be edited while the vault is locked.
+ */
+async function renderVault() {
+  vaultState = await Vault.status();
+  const vault = await Vault.getVault();
+  vaultIdleEl.value = String(vault?.idleMinutes ?? Vault.DEFAULT_IDLE_MINUTES);
+  vaultStatusBox.textContent = browser.i18n.getMessage({
+    off: "optionsVaultStatusOff",
+    locked: "optionsVaultStatusLocked",
+    unlocked: "optionsVaultStatusUnlocked"
+  }[vaultState]);
+  $("vaultUnlockFields").style.display = vaultState === "locked" ? "" : "none";
+  $("vaultSetFields").style.display = vaultState === "locked" ? "none" : "";
+  btnVaultSet.style.display = vaultState === "locked" ? "none" : "";
+  btnVaultSet.textContent = browser.i18n.getMessage(vaultState === "off" ? "optionsVaultBtnSet" : "optionsVaultBtnChange");
+  btnVaultLock.disabled = vaultState !== "unlocked";
+  btnVaultRemove.disabled = vaultState !== "unlocked";
+  for (const el of [keyEl, passwordEl]) {
+    el.disabled = vaultState === "locked";
+    el.placeholder = vaultState === "locked" ? browser.i18n.getMessage("optionsVaultLockedPlaceholder") : "••••••••••";
+  }
+}
+
+/**
+ * Sets the status message of the master passphrase section.
+ * @param {string} key - The i18n key of the message.
+ */
+function setVaultStatus(key) {
+  vaultStatusBox.textContent = browser.i18n.getMessage(key);
+}
+
+/**
+ * Shows whether sync is on and when the settings were last uploaded.
+ */
+async function renderSyncStatus() {
+  const { syncEnabled } = await SettingsSync.getPreferences();
+  const { syncStatus } = await browser.storage.local.get({ syncStatus: null });
+  syncSecretsEl.disabled = !syncEnabled;
+  if (!syncEnabled) {
+    syncStatusBox.textContent = browser.i18n.getMessage("optionsSyncOff");
+  } else if (syncStatus?.error) {
+    syncStatusBox.textContent = browser.i18n.getMessage("optionsSyncFailed", syncStatus.error);
+  } else if (syncStatus?.at) {
+    syncStatusBox.textContent = browser.i18n.getMessage("optionsSyncLast", new Date(syncStatus.at).toLocaleString());
+  } else {
+    syncStatusBox.textContent = browser.i18n.getMessage("optionsSyncPending");
+  }
+  if (syncEnabled && syncStatus?.secretsRefused) {
+    syncStatusBox.textContent += " " + browser.i18n.getMessage("optionsSyncSecretsRefused");
+  }
+}
+
+/**
+ * Renders the redirect rule editor. Each input writes straight into the working copy.
+ */
+function renderRedirectRules() {
+  redirectRulesBody.innerHTML = "";
+  redirectRules.forEach((rule, index) => {
+    const tr = document.createElement("tr");
+    tr.title = rule.name || "";
+
+    for (const field of ["host", "path", "param", "prefix_to_strip"]) {
+      const td = document.createElement("td");
+      const input = document.createElement("input");
+      input.type = "text";
+      input.value = rule[field] || "";
+      input.spellcheck = false;
+      input.addEventListener("input", () => {
+        rule[field] = input.value.trim();
+        runRedirectTest();
+      });
+      td.appendChild(input);
+      tr.appendChild(td);
+    }
+
+    const decodeTd = document.createElement("td");
+    const decode = document.createElement("select");
+    [["none", "optionsDecodeNone"], ["base64", "optionsDecodeBase64"], ["double", "optionsDecodeDouble"]].forEach(([value, key]) => {
+      decode.appendChild(new Option(browser.i18n.getMessage(key), value));
+    });
+    decode.value = rule.decode || "none";
+    decode.addEventListener("change", () => {
+      rule.decode = decode.value;
+      runRedirectTest();
+    });
+    decodeTd.appendChild(decode);
+
+    const removeTd = document.createElement("td");
+    const remove = document.createElement("button");
+    remove.className = "secondary danger";
+    remove.textContent = "✕";
+    remove.title = browser.i18n.getMessage("optionsBtnRemoveRule");
+    remove.addEventListener("click", () => {
+      redirectRules.splice(index, 1);
+      renderRedirectRules();
+      runRedirectTest();
+    });
+    removeTd.appendChild(remove);
+
+    tr.append(decodeTd, removeTd);
+    redirectRulesBody.appendChild(tr);
+  });
+}
+
+/**
+ * Returns the redirect rules to save, or `null` when they equal the built-in rules.
+ * Incomplete rows (no host or parameter) are dropped.
+ * @returns {object[]|null}
+ */
+function readRedirectRules() {
+  const rules = UrlCleaner.normalizeRedirectRules(redirectRules.filter(r => r.host && r.param)) || [];
+  return JSON.stringify(rules) === JSON.stringify(UrlCleaner.DEFAULT_REDIRECT_RULES) ? null : rules;
+}
+
+/**
+ * Unwraps the URL in the test box with the rules being edited and shows every step.
+ */
+function runRedirectTest() {
+  const url = redirectTestEl.value.trim();
+  if (!url) {
+    redirectTestResult.style.display = "none";
+    return;
+  }
+  const rules = UrlCleaner.normalizeRedirectRules(redirectRules.filter(r => r.host && r.param)) || [];
+  const { steps } = UrlCleaner.unwrap(url, rules);
+  redirectTestResult.textContent = steps.length
+    ? steps.map(step => `→ ${step.url}  (${step.rule.name || step.rule.host})`).join("\n")
+    : browser.i18n.getMessage("optionsRedirectTestNoMatch");
+  redirectTestResult.style.display = "block";
+}
+
+/**
+ * Turns a keydown event into a shortcut string as understood by `browser.commands`,
+ * e.g. "Ctrl+Shift+K". Returns an empty string while only modifiers are pressed.
+ * @param {KeyboardEvent} e - The keydown event.
+ * @returns {string}
+ */
+function shortcutFromEvent(e) {
+  const named = {
+    " ": "Space", ",": "Comma", ".": "Period", Home: "Home", End: "End", PageUp: "PageUp",
+    PageDown: "PageDown", Insert: "Insert", Delete: "Delete",
+    ArrowUp: "Up", ArrowDown: "Down", ArrowLeft: "Left", ArrowRight: "Right"
+  };
+  let key = named[e.key] || "";
+  if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+  else if (/^Digit[0-9]$/.test(e.code)) key = e.code.slice(5);
+  else if (/^F([1-9]|1[0-2])$/.test(e.key)) key = e.key;
+  if (!key) return "";
+
+  const parts = [];
+  if (e.ctrlKey) parts.push("Ctrl");
+  if (e.altKey) parts.push("Alt");
+  if (e.metaKey) parts.push("Command");
+  if (e.shiftKey) parts.push("Shift");
+  return [...parts, key].join("+");
+}
+
+/**
+ * Lists the extension's keyboard commands with an input to rebind each of them.
+ */
+async function renderShortcuts() {
+  const commands = await browser.commands.getAll();
+  shortcutList.innerHTML = "";
+  for (const command of commands) {
+    const tr = document.createElement("tr");
+    const labelTd = document.createElement("td");
+    labelTd.textContent = command.description || command.name;
+
+    const inputTd = document.createElement("td");
+    const input = document.createElement("input");
+    input.type = "text";
+    input.readOnly = true;
+    input.value = command.shortcut || "";
+    input.placeholder = browser.i18n.getMessage("optionsShortcutNone");
+    input.addEventListener("keydown", async (e) => {
+      if (e.key === "Tab") return;
+      e.preventDefault();
+      const clear = (e.key === "Backspace" || e.key === "Delete") && !e.ctrlKey && !e.altKey && !e.metaKey;
+      const shortcut = clear ? "" : shortcutFromEvent(e);
+      if (!clear && !shortcut) return;
+      try {
+        await browser.commands.update({ name: command.name, shortcut });
+        setStatus(browser.i18n.getMessage("optionsStatusShortcutSaved"), "ok");
+      } catch {
+        setStatus(browser.i18n.getMessage("optionsStatusShortcutInvalid", shortcut));
+      }
+      renderShortcuts();
+    });
+    inputTd.appendChild(input);
+
+    const resetTd = document.createElement("td");
+    const reset = document.createElement("button");
+    reset.className = "secondary";
+    reset.textContent = browser.i18n.getMessage("optionsBtnResetShortcut");
+    reset.addEventListener("click", async () => {
+      await browser.commands.reset(command.name);
+      setStatus(browser.i18n.getMessage("optionsStatusShortcutSaved"), "ok");
+      renderShortcuts();
+    });
+    resetTd.appendChild(reset);
+
+    tr.append(labelTd, inputTd, resetTd);
+    shortcutList.appendChild(tr);
+  }
+}
+
 /**
  * Handles the connection test logic. It requests host permissions and then
- * sends a message to the background script to perform the API check.
+ * sends a message to the background script to perform the API check with the
+ * profile as entered in the form, whether it was saved or not.
  */
 async function testConnection() {
   const base = H.sanitizeBaseUrl(urlEl.value);
-  const key = keyEl.value.trim();
-  if (!base || !key) {
-    setStatus(browser.i18n.getMessage("optionsStatusEnterUrlAndToken"));
+  commitForm();
+  const profile = { ...profiles.find(p => p.id === selectedId) };
+  // Unless the vault is locked, the secrets in the form replace the sealed ones.
+  if (vaultState !== "locked") delete profile.sealed;
+  if (!base || !H.hasCredentials(profile)) {
+    const key = profile?.authMode === "password" ? "optionsStatusEnterUrlAndLogin" : "optionsStatusEnterUrlAndToken";
+    setStatus(browser.i18n.getMessage(key));
     return;
   }
 
@@ -61,7 +516,7 @@ async function testConnection() {
   }
 
   // Send message to background script to perform the API check.
-  const s = await browser.runtime.sendMessage({ type: "CHECK_CONNECTION" });
+  const s = await browser.runtime.sendMessage({ type: "CHECK_CONNECTION", profileId: selectedId, profile });
   if (s?.ok) {
     const total = s.total ?? "?";
     setStatus(browser.i18n.getMessage("optionsStatusConnOk", total), "ok");
@@ -71,18 +526,311 @@ async function testConnection() {
 }
 
 // Event Listeners
+/**
+ * Reads the tracking parameter list from the form.
+ * Returns `null` when it equals the built-in list, so future updates of the defaults apply.
+ * @returns {string[]|null}
+ */
+function readTrackingParams() {
+  const params = trackingParamsEl.value.split(/[\r\n,]+/).map(p => p.trim()).filter(Boolean);
+  const isDefault = params.length === UrlCleaner.DEFAULT_PARAMS.length &&
+    params.every((p, i) => p === UrlCleaner.DEFAULT_PARAMS[i]);
+  return isDefault ? null : params;
+}
+
+/**
+ * Reads the QR code fields of the form.
+ * @returns {object} The `qr*` settings.
+ */
+function readQrSettings() {
+  return {
+    qrForeground: qrForegroundEl.value,
+    qrBackground: qrBackgroundEl.value,
+    qrSize: Math.min(4096, Math.max(128, Number(qrSizeEl.value) || QrRenderer.DEFAULTS.size)),
+    qrMargin: Math.min(10, Math.max(0, Math.round(Number(qrMarginEl.value)))),
+    qrErrorLevel: qrLevelEl.value,
+    qrLogo,
+    qrFormat: qrFormatEl.value
+  };
+}
+
+/**
+ * Fills the copy format menu with the built-in formats and the templates being edited,
+ * keeping the selection where possible.
+ * @param {string} [selected] - The format to select; the current selection by default.
+ */
+function renderCopyFormats(selected = copyFormatEl.value) {
+  const formats = CopyFormats.list(CopyFormats.parseTemplates(copyTemplatesEl.value));
+  copyFormatEl.replaceChildren(...formats.map(f => new Option(f.label, f.id)));
+  copyFormatEl.value = formats.some(f => f.id === selected) ? selected : "plain";
+}
+
+/**
+ * Redraws the QR code preview with the current form values.
+ */
+function renderQrPreview() {
+  btnQrLogoRemove.disabled = !qrLogo;
+  QrRenderer.render(qrPreview, QR_PREVIEW_TEXT, QrRenderer.fromSettings(readQrSettings()), 160);
+}
+
+/**
+ * Loads an image file as a logo, scaled down to at most `QR_LOGO_MAX_SIZE` pixels.
+ * @param {File} file - The chosen image.
+ * @returns {Promise<string>} The logo as a PNG data URL.
+ */
+function readQrLogo(file) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(img.src);
+      const scale = Math.min(1, QR_LOGO_MAX_SIZE / Math.max(img.naturalWidth || 1, img.naturalHeight || 1));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round((img.naturalWidth || QR_LOGO_MAX_SIZE) * scale));
+      canvas.height = Math.max(1, Math.round((img.naturalHeight || QR_LOGO_MAX_SIZE) * scale));
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL("image/png"));
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(img.src);
+      reject(new Error(browser.i18n.getMessage("optionsQrLogoInvalid")));
+    };
+    img.src = URL.createObjectURL(file);
+  });
+}
+
 btnSave.addEventListener("click", async () => {
-  const base = H.sanitizeBaseUrl(urlEl.value);
+  commitForm();
+  // Request the host permissions right away, while the click still counts as a user gesture.
+  const origins = [...new Set(profiles.map(p => originPattern(p.yourlsUrl)).filter(Boolean))];
+  const granted = origins.length ? browser.permissions.request({ origins }).catch(() => false) : true;
   await H.setSettings({
-    yourlsUrl: base,
-    apiSignature: keyEl.value.trim(),
-                      autoCopy: autoEl.checked
+    profiles: await storedProfiles(),
+    activeProfileId,
+                      autoCopy: autoEl.checked,
+                      copyFormat: copyFormatEl.value,
+                      copyTemplates: CopyFormats.parseTemplates(copyTemplatesEl.value),
+                      quickMode: quickEl.checked,
+                      badgeServerLookup: badgeLookupEl.checked,
+                      keywordCharset: keywordCharsetEl.value,
+                      keywordHyphens: keywordHyphensEl.checked,
+                      keywordTemplate: keywordTemplateEl.value.trim(),
+                      ...readQrSettings(),
+                      trendsEnabled: trendsEnabledEl.checked,
+                      trendsIntervalMinutes: Number(trendsIntervalEl.value),
+                      milestonesEnabled: milestonesEnabledEl.checked,
+                      milestoneThresholds: ClickMilestones.parseThresholds(milestoneThresholdsEl.value),
+                      milestoneQuietStart: milestoneQuietStartEl.value,
+                      milestoneQuietEnd: milestoneQuietEndEl.value,
+                      stripTracking: stripEl.checked,
+                      trackingParams: readTrackingParams(),
+                      trackingDomainRules: UrlCleaner.parseDomainRules(trackingRulesEl.value),
+                      redirectRules: readRedirectRules()
   });
-  setStatus(browser.i18n.getMessage("optionsStatusSaved"));
+  renderProfiles();
+  setStatus(browser.i18n.getMessage(await granted ? "optionsStatusSaved" : "optionsStatusSavedNoPerm"));
+});
+
+profileList.addEventListener("change", () => {
+  commitForm();
+  selectedId = profileList.value;
+  renderProfiles();
+});
+
+btnAddProfile.addEventListener("click", () => {
+  commitForm();
+  const profile = H.createProfile();
+  profiles.push(profile);
+  selectedId = profile.id;
+  if (!activeProfileId) activeProfileId = profile.id;
+  renderProfiles();
+  nameEl.focus();
+});
+
+btnDeleteProfile.addEventListener("click", () => {
+  if (profiles.length < 2) return;
+  profiles = profiles.filter(p => p.id !== selectedId);
+  if (activeProfileId === selectedId) activeProfileId = profiles[0].id;
+  selectedId = activeProfileId;
+  renderProfiles();
+  setStatus(browser.i18n.getMessage("optionsStatusProfileRemoved"));
 });
 
 btnTest.addEventListener("click", testConnection);
 
+authModeEl.addEventListener("change", updateAuthFields);
+
+btnVaultUnlock.addEventListener("click", async () => {
+  if (!vaultUnlockEl.value) return;
+  commitForm();
+  if (!(await Vault.unlock(vaultUnlockEl.value))) {
+    setVaultStatus("unlockWrongPassphrase");
+    vaultUnlockEl.select();
+    return;
+  }
+  vaultUnlockEl.value = "";
+  // Secrets that sync refused while the vault was locked can be sealed now.
+  const { syncStatus } = await browser.storage.local.get({ syncStatus: null });
+  if (syncStatus?.secretsRefused && await SettingsSync.pull()) {
+    await init();
+    setStatus(browser.i18n.getMessage("optionsSyncAdopted"), "ok");
+    return;
+  }
+  await openProfiles();
+  await renderVault();
+  renderProfiles();
+});
+
+// Setting or changing the passphrase re-encrypts and saves the profiles right away.
+btnVaultSet.addEventListener("click", async () => {
+  const passphrase = vaultPassEl.value;
+  if (passphrase.length < 8) return setVaultStatus("optionsVaultTooShort");
+  if (passphrase !== vaultConfirmEl.value) return setVaultStatus("optionsVaultMismatch");
+  if (await Vault.status() === "locked") return renderVault();
+  commitForm();
+  const { vault, key } = await Vault.create(passphrase, Number(vaultIdleEl.value));
+  const sealed = await Promise.all(profiles.map(p => Vault.seal(p, key)));
+  await H.setSettings({ vault, profiles: sealed, activeProfileId });
+  vaultPassEl.value = vaultConfirmEl.value = "";
+  await renderVault();
+  setVaultStatus("optionsVaultStatusSet");
+});
+
+btnVaultLock.addEventListener("click", async () => {
+  commitForm();
+  await Vault.lock();
+  profiles = profiles.map(Vault.strip);
+  await renderVault();
+  renderProfiles();
+});
+
+// Removing the passphrase stores the secrets in plain text again.
+btnVaultRemove.addEventListener("click", async () => {
+  if (await Vault.status() !== "unlocked") return renderVault();
+  commitForm();
+  profiles = profiles.map(({ sealed, ...profile }) => profile);
+  await H.setSettings({ profiles, activeProfileId });
+  await browser.storage.local.remove("vault");
+  await Vault.lock();
+  await renderVault();
+  setVaultStatus("optionsVaultStatusRemoved");
+});
+
+vaultIdleEl.addEventListener("change", () => Vault.setIdleMinutes(Number(vaultIdleEl.value)));
+
+/**
+ * Applies the sync toggles right away. Switching sync on may adopt settings from
+ * other devices, in which case the form is reloaded.
+ */
+async function applySync() {
+  try {
+    const changed = await SettingsSync.configure(syncEnabledEl.checked, syncSecretsEl.checked);
+    if (changed) {
+      await init();
+      setStatus(browser.i18n.getMessage("optionsSyncAdopted"), "ok");
+    }
+  } catch (e) {
+    console.warn("Settings sync failed.", e);
+  }
+  renderSyncStatus();
+}
+
+syncEnabledEl.addEventListener("change", applySync);
+syncSecretsEl.addEventListener("change", applySync);
+
+btnExportSettings.addEventListener("click", async () => {
+  const data = await SettingsSync.exportConfig(backupSecretsEl.checked);
+  H.downloadText(JSON.stringify(data, null, 2), "kurl-settings.json", "application/json");
+});
+
+btnImportSettings.addEventListener("click", () => importSettingsFile.click());
+
+// Restoring a backup replaces the configuration, including unsaved changes on this page.
+importSettingsFile.addEventListener("change", async () => {
+  const file = importSettingsFile.files[0];
+  importSettingsFile.value = "";
+  if (!file) return;
+  let imported;
+  try {
+    imported = await SettingsSync.importConfig(H.parseMaybeJson(await file.text()));
+  } catch (e) {
+    setStatus(String(e?.message || e));
+    return;
+  }
+  if (!imported) {
+    setStatus(browser.i18n.getMessage("optionsBackupInvalid"));
+    return;
+  }
+  await init();
+  setStatus(browser.i18n.getMessage("optionsBackupImported"), "ok");
+});
+
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && (changes.syncStatus || changes.syncEnabled)) renderSyncStatus();
+  // The popup asked for a missing host permission while this page was open.
+  if (area === "local" && changes.yourls_grant_origin?.newValue) showPendingGrant();
+});
+
+btnAddRule.addEventListener("click", () => {
+  redirectRules.push({ name: "", host: "", path: "/", param: "", prefix_to_strip: "", decode: "none" });
+  renderRedirectRules();
+  redirectRulesBody.lastElementChild.querySelector("input").focus();
+});
+
+btnResetRules.addEventListener("click", () => {
+  redirectRules = structuredClone(UrlCleaner.DEFAULT_REDIRECT_RULES);
+  renderRedirectRules();
+  runRedirectTest();
+  setStatus(browser.i18n.getMessage("optionsStatusRulesReset"));
+});
+
+btnExportRules.addEventListener("click", () => {
+  const data = {
+    kurl: "redirect-rules",
+    version: 1,
+    rules: UrlCleaner.normalizeRedirectRules(redirectRules.filter(r => r.host && r.param)) || []
+  };
+  H.downloadText(JSON.stringify(data, null, 2), "kurl-redirect-rules.json", "application/json");
+});
+
+btnImportRules.addEventListener("click", () => importRulesFile.click());
+
+importRulesFile.addEventListener("change", async () => {
+  const file = importRulesFile.files[0];
+  importRulesFile.value = "";
+  if (!file) return;
+  const rules = UrlCleaner.normalizeRedirectRules(H.parseMaybeJson(await file.text()));
+  if (!rules) {
+    setStatus(browser.i18n.getMessage("optionsStatusRulesImportInvalid"));
+    return;
+  }
+  redirectRules = rules;
+  renderRedirectRules();
+  runRedirectTest();
+  setStatus(browser.i18n.getMessage("optionsStatusRulesImported", String(rules.length)));
+});
+
+redirectTestEl.addEventListener("input", runRedirectTest);
+
+btnResetTracking.addEventListener("click", () => {
+  trackingParamsEl.value = UrlCleaner.DEFAULT_PARAMS.join("\n");
+  setStatus(browser.i18n.getMessage("optionsStatusTrackingReset"));
+});
+
+btnGrant.addEventListener("click", async () => {
+  const origin = originPattern(urlEl.value);
+  if (!origin) return;
+  try {
+    const ok = await browser.permissions.request({ origins: [origin] });
+    if (ok) setStatus(browser.i18n.getMessage("optionsStatusPermGranted"), "ok");
+    else setStatus(browser.i18n.getMessage("optionsStatusPermNotGranted"));
+  } catch (e) {
+    setStatus(browser.i18n.getMessage("optionsStatusPermRequestError") + e);
+  }
+  updateGrantButton();
+});
+
+urlEl.addEventListener("input", updateGrantButton);
+
 btnRemove.addEventListener("click", async () => {
   const base = H.sanitizeBaseUrl(urlEl.value);
   if (!base) {
@@ -95,6 +843,32 @@ btnRemove.addEventListener("click", async () => {
   } catch (e) {
     setStatus(browser.i18n.getMessage("optionsStatusPermRemoveError") + e);
   }
+  updateGrantButton();
+});
+
+// Offer the templates in the copy format menu while they are typed.
+copyTemplatesEl.addEventListener("input", () => renderCopyFormats());
+
+[qrForegroundEl, qrBackgroundEl, qrSizeEl, qrMarginEl, qrLevelEl].forEach(el => el.addEventListener("input", renderQrPreview));
+
+btnQrLogoChoose.addEventListener("click", () => qrLogoFile.click());
+
+qrLogoFile.addEventListener("change", async () => {
+  const file = qrLogoFile.files[0];
+  qrLogoFile.value = "";
+  if (!file) return;
+  try {
+    qrLogo = await readQrLogo(file);
+  } catch (e) {
+    setStatus(String(e?.message || e));
+    return;
+  }
+  renderQrPreview();
+});
+
+btnQrLogoRemove.addEventListener("click", () => {
+  qrLogo = "";
+  renderQrPreview();
 });
 
 /**
@@ -104,11 +878,47 @@ btnRemove.addEventListener("click", async () => {
 async function init() {
   internationalize();
   const s = await H.getSettings();
-  urlEl.value = s.yourlsUrl || "";
-  keyEl.value = s.apiSignature || "";
+  profiles = s.profiles.length ? s.profiles : [H.createProfile()];
+  activeProfileId = s.activeProfileId || profiles[0].id;
+  selectedId = activeProfileId;
+  await openProfiles();
+  await renderVault();
+  renderProfiles();
   autoEl.checked = s.autoCopy;
+  copyTemplatesEl.value = CopyFormats.formatTemplates(s.copyTemplates);
+  renderCopyFormats(s.copyFormat);
+  quickEl.checked = s.quickMode;
+  badgeLookupEl.checked = s.badgeServerLookup;
+  keywordCharsetEl.value = s.keywordCharset;
+  keywordHyphensEl.checked = s.keywordHyphens;
+  keywordTemplateEl.value = s.keywordTemplate;
+  const qr = QrRenderer.fromSettings(s);
+  qrForegroundEl.value = qr.foreground;
+  qrBackgroundEl.value = qr.background;
+  qrSizeEl.value = qr.size;
+  qrMarginEl.value = qr.margin;
+  qrLevelEl.value = qr.level;
+  qrFormatEl.value = s.qrFormat;
+  qrLogo = qr.logo;
+  renderQrPreview();
+  trendsEnabledEl.checked = s.trendsEnabled;
+  trendsIntervalEl.value = String(s.trendsIntervalMinutes);
+  milestonesEnabledEl.checked = s.milestonesEnabled;
+  milestoneThresholdsEl.value = ClickMilestones.formatThresholds(s.milestoneThresholds);
+  milestoneQuietStartEl.value = s.milestoneQuietStart;
+  milestoneQuietEndEl.value = s.milestoneQuietEnd;
+  stripEl.checked = s.stripTracking;
+  trackingParamsEl.value = (s.trackingParams || UrlCleaner.DEFAULT_PARAMS).join("\n");
+  trackingRulesEl.value = UrlCleaner.formatDomainRules(s.trackingDomainRules);
+  redirectRules = structuredClone(s.redirectRules || UrlCleaner.DEFAULT_REDIRECT_RULES);
+  renderRedirectRules();
+  renderShortcuts();
+  const sync = await SettingsSync.getPreferences();
+  syncEnabledEl.checked = sync.syncEnabled;
+  syncSecretsEl.checked = sync.syncSecrets;
+  renderSyncStatus();
   setStatus(browser.i18n.getMessage("optionsStatusLoaded"));
 }
 
 // Run initialization when the script loads.
-init();
+init().then(showPendingGrant);
@@ -7,6 +7,13 @@
  */
 
 const H = window.Helpers;
+const UrlCleaner = window.UrlCleaner;
+const Keywords = window.Keywords;
+const Vault = window.Vault;
+const QrRenderer = window.QrRenderer;
+const ClickTrends = window.ClickTrends;
+const ClickMilestones = window.ClickMilestones;
+const CopyFormats = window.CopyFormats;
 const $ = (id) => document.getElementById(id);
 
 // ==========================================================================
@@ -25,28 +32,68 @@ document.addEventListener('DOMContentLoaded', async () => {
     window.close();
   });
 
+  $('open-history-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    browser.tabs.create({ url: browser.runtime.getURL("history.html") });
+    window.close();
+  });
+
   // Check if the add-on has been configured with API credentials.
   const settings = await H.getSettings();
-  if (!settings.yourlsUrl || !settings.apiSignature) {
+  if (!settings.yourlsUrl || !H.hasCredentials(settings.profiles.find(p => p.id === settings.activeProfileId))) {
     displaySetupMessage();
     return;
   }
+  // With a master passphrase, the credentials can only be used once the vault is unlocked.
+  if (await Vault.status() === "locked") await promptUnlock();
 
   // Determine the initial state: pre-fill a URL or show the dashboard.
   const initial = await getInitialUrl(settings);
+  setupProfileSwitcher(settings, initial.profileId);
+  pageSizeSelect.value = String(settings.linkBrowserPageSize);
+  savedSettings = settings;
+  applyProfileDefaults();
+  copyTemplates = settings.copyTemplates;
+  const formats = CopyFormats.list(copyTemplates);
+  copyFormat.replaceChildren(...formats.map(f => new Option(f.label, f.id)));
+  copyFormat.value = formats.some(f => f.id === settings.copyFormat) ? settings.copyFormat : "plain";
+  keywordRules = settings;
+  keywordStyle.value = settings.keywordStyle;
+  qrOptions = QrRenderer.fromSettings(settings);
+  trendsEnabled = settings.trendsEnabled;
+  milestonesEnabled = settings.milestonesEnabled;
+  milestoneDefaults = settings.milestoneThresholds;
+  qrFormat.value = settings.qrFormat;
   if (initial.url) {
     if (initial.isShort) {
       handleExistingShortUrl(initial.url);
     } else {
-      longUrl.value = initial.url;
+      applyCleaner(initial.url);
     }
   } else {
     showDashboard();
   }
 
+  // Show the progress of a running (or not yet dismissed) "Shorten all tabs" batch.
+  const status = await browser.runtime.sendMessage({ type: "GET_BATCH_STATUS" });
+  if (status?.batch) renderBatch(status.batch);
+
+  // Show shorten requests that are waiting for the server to become reachable again.
+  const queued = await browser.runtime.sendMessage({ type: "GET_QUEUE" });
+  if (queued?.queue) renderQueue(queued.queue);
+
   // Clean up storage keys that were used for pre-filling.
-  await browser.storage.local.remove(["yourls_prefill_long", "yourls_prefill_short"]);
+  await browser.storage.local.remove(["yourls_prefill_long", "yourls_prefill_short", "yourls_prefill_profile", "yourls_prefill_command"]);
   init();
+
+  // Continue a keyboard command ("shorten and show QR", "open stats") passed by the background.
+  if (initial.command === "qr" || initial.command === "undo") {
+    if (initial.isShort || await shortenLongUrl()) btnQrCode.click();
+    // A link just created in quick mode can be deleted again with a single click.
+    if (initial.command === "undo" && initial.isShort) btnUndo.style.display = 'inline-block';
+  } else if (initial.command === "stats" && !initial.isShort) {
+    setMsg(browser.i18n.getMessage("popupErrorNoShortUrlForPage"));
+  }
 });
 
 // ==========================================================================
@@ -55,35 +102,164 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 const longUrl = $("longUrl");
 const keyword = $("keyword");
+const keywordStyle = $("keywordStyle");
+const btnSuggestKeyword = $("btnSuggestKeyword");
+const keywordHint = $("keyword-hint");
 const title = $("title");
 const shortUrl = $("shortUrl");
 const btnShorten = $("btnShorten");
+const copyFormat = $("copyFormat");
 const btnCopyClose = $("btnCopyClose");
 const btnQrCode = $("btnQrCode");
 const btnDownloadQr = $("btnDownloadQr");
+const btnCopyQr = $("btnCopyQr");
+const qrFormat = $("qrFormat");
+const qrActions = $("qr-actions");
 const btnDelete = $("btnDelete");
+const btnUndo = $("btnUndo");
+const btnEdit = $("btnEdit");
+const editArea = $("edit-area");
+const editLongUrl = $("editLongUrl");
+const editKeyword = $("editKeyword");
+const editTitle = $("editTitle");
+const btnSaveEdit = $("btnSaveEdit");
+const btnCancelEdit = $("btnCancelEdit");
 const statsInput = $("statsInput");
 const btnStats = $("btnStats");
 const btnDetails = $("btnDetails");
+const trendArea = $("trend-area");
+const trendDisplay = $("trendDisplay");
+const btnWatch = $("btnWatch");
+const milestoneArea = $("milestone-area");
+const milestoneInput = $("milestoneInput");
+const milestoneAnyClick = $("milestoneAnyClick");
+const milestoneQuietStart = $("milestoneQuietStart");
+const milestoneQuietEnd = $("milestoneQuietEnd");
+const btnSaveMilestones = $("btnSaveMilestones");
+const btnClearMilestones = $("btnClearMilestones");
 const msg = $("msg");
+const recovery = $("recovery");
+const btnRecover = $("btnRecover");
 const jsonBox = $("json");
 const resultArea = $("result-area");
 const qrcodeDisplay = $("qrcode-display");
 const dashboard = $("dashboard");
+const cleanPreview = $("clean-preview");
+const cleanPreviewText = $("clean-preview-text");
+const btnKeepOriginal = $("btnKeepOriginal");
+const btnShortenAll = $("btnShortenAll");
+const batchArea = $("batch-area");
+const batchSummary = $("batch-summary");
+const batchList = $("batch-list");
+const btnCopyBatch = $("btnCopyBatch");
+const btnCloseBatch = $("btnCloseBatch");
+const btnCancel = $("btnCancel");
+const queueArea = $("queue-area");
+const queueSummary = $("queue-summary");
+const queueList = $("queue-list");
+const btnRetryQueue = $("btnRetryQueue");
+const profileSelect = $("profileSelect");
+const dashboardTotals = $("dashboard-totals");
+const linkList = $("link-list");
+const pageSizeSelect = $("pageSize");
+const btnPrevPage = $("btnPrevPage");
+const btnNextPage = $("btnNextPage");
+
+// The saved settings; the defaults of the selected profile are applied on top of them.
+let savedSettings = null;
+
+// State of the tracking-parameter cleaner: the settings it uses, the URL before
+// cleaning, and the URL the user explicitly chose to keep unmodified.
+let cleanerSettings = null;
+let originalUrl = "";
+let keptOriginal = "";
+
+// Whether the long URL field shows the loading text while the target of a detected
+// short link is fetched.
+let longUrlLoading = false;
+
+// Whether a newly created short link is copied to the clipboard right away, and the
+// user's own copy formats (see copy-formats.js).
+let autoCopy = true;
+let copyTemplates = [];
+
+// State of the keyword helpers: the settings with the charset and template, the
+// pending debounce timer of the live check, a counter to ignore outdated answers,
+// and whether the current keyword is known to be taken.
+const KEYWORD_CHECK_DELAY_MS = 500;
+let keywordRules = null;
+let keywordTimer = null;
+let keywordCheckId = 0;
+let keywordTaken = false;
+
+// The recovery offered for the last error shown (see `showError()`).
+let recoverAction = null;
+
+// Whether click trends are polled, so links can be watched (see click-trends.js), and
+// whether watched links raise click-milestone notifications (see click-milestones.js).
+let trendsEnabled = false;
+let milestonesEnabled = false;
+let milestoneDefaults = [];
+
+// The QR code style from the settings (see QrRenderer.fromSettings).
+let qrOptions = QrRenderer.DEFAULTS;
+
+// The results of the last "Shorten all tabs" batch, formatted for copying.
+let batchCopyText = "";
+
+// State of the server link browser in the dashboard.
+let browserFilter = "top";
+let browserStart = 0;
 
 // ==========================================================================
 // UI LOGIC FUNCTIONS
 // ==========================================================================
 
+/**
+ * Returns the ID of the profile currently selected in the popup.
+ * @returns {string}
+ */
+function currentProfileId() {
+  return profileSelect.value;
+}
+
+/**
+ * Fills the profile switcher and selects the initial profile.
+ * The switcher is only shown when more than one profile is configured.
+ * @param {object} settings - The user's saved settings.
+ * @param {string} [preferredId] - A profile to preselect (e.g. from the "Shorten with…" menu).
+ */
+function setupProfileSwitcher(settings, preferredId) {
+  profileSelect.innerHTML = '';
+  for (const profile of settings.profiles) {
+    profileSelect.appendChild(new Option(H.profileLabel(profile), profile.id));
+  }
+  const known = settings.profiles.some(p => p.id === preferredId);
+  profileSelect.value = known ? preferredId : settings.activeProfileId;
+  $('profile-switcher').style.display = settings.profiles.length > 1 ? 'block' : 'none';
+}
+
+/**
+ * Applies the defaults of the selected profile (see `Helpers.settingsForProfile()`)
+ * to the automatic copying and the tracking-parameter cleaner.
+ */
+function applyProfileDefaults() {
+  const profile = savedSettings.profiles.find(p => p.id === currentProfileId());
+  cleanerSettings = H.settingsForProfile(savedSettings, profile);
+  autoCopy = cleanerSettings.autoCopy;
+}
+
 /**
  * Determines which URL, if any, should be pre-filled in the popup.
  * @param {object} settings - The user's saved settings.
- * @returns {Promise<{url: string|null, isShort: boolean}>}
+ * @returns {Promise<{url: string|null, isShort: boolean, profileId: string|undefined, command: string|undefined}>}
  */
 async function getInitialUrl(settings) {
-  const storageData = await browser.storage.local.get(["yourls_prefill_long", "yourls_prefill_short"]);
+  const storageData = await browser.storage.local.get(["yourls_prefill_long", "yourls_prefill_short", "yourls_prefill_profile", "yourls_prefill_command"]);
   let url = storageData.yourls_prefill_long || storageData.yourls_prefill_short;
   let isShort = !!storageData.yourls_prefill_short;
+  let profileId = storageData.yourls_prefill_profile;
+  const command = storageData.yourls_prefill_command;
 
   if (!url) {
     const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
@@ -93,10 +269,175 @@ async function getInitialUrl(settings) {
   }
 
   if (url) {
-    const base = H.sanitizeBaseUrl(settings.yourlsUrl);
-    isShort = isShort || (base && url.startsWith(base) && url.length > base.length + 1);
+    const owner = H.findProfileForUrl(settings.profiles, url);
+    if (owner) {
+      isShort = true;
+      profileId = profileId || owner.id;
+    }
+  }
+  return { url, isShort, profileId, command };
+}
+
+/**
+ * Unwraps redirect links and removes tracking parameters from a URL, puts the
+ * result into the long URL field, and previews what was stripped with a
+ * "Keep original" override.
+ * @param {string} url - The URL as entered, detected or passed from the background.
+ */
+function applyCleaner(url) {
+  const result = UrlCleaner.clean(url, cleanerSettings);
+
+  longUrl.value = result.url;
+  if (result.removed.length) {
+    originalUrl = url;
+    cleanPreviewText.textContent = browser.i18n.getMessage("popupInfoTrackingRemoved", result.removed.join(", "));
+    cleanPreview.style.display = 'flex';
+  } else {
+    originalUrl = "";
+    cleanPreview.style.display = 'none';
+  }
+}
+
+/**
+ * Shows a hint below the keyword input.
+ * @param {string} text - The hint, or an empty string to clear it.
+ * @param {string} [cls=""] - "ok" or "bad".
+ */
+function setKeywordHint(text, cls = "") {
+  keywordHint.className = "keyword-hint " + cls;
+  keywordHint.textContent = text;
+}
+
+/**
+ * Validates the keyword against the YOURLS charset right away, and checks with the
+ * server whether it is still free once the user stops typing.
+ */
+function checkKeyword() {
+  clearTimeout(keywordTimer);
+  const checkId = ++keywordCheckId;
+  keywordTaken = false;
+  const kw = keyword.value.trim();
+  keyword.classList.remove("invalid");
+  if (!kw) return setKeywordHint("");
+
+  if (!Keywords.isValid(kw, keywordRules)) {
+    keyword.classList.add("invalid");
+    return setKeywordHint(browser.i18n.getMessage("popupKeywordInvalid"), "bad");
+  }
+
+  setKeywordHint(browser.i18n.getMessage("popupKeywordChecking"));
+  keywordTimer = setTimeout(async () => {
+    const r = await browser.runtime.sendMessage({ type: "CHECK_KEYWORD", keyword: kw, profileId: currentProfileId() });
+    if (checkId !== keywordCheckId) return;
+    if (!r?.ok) return setKeywordHint("");
+    keywordTaken = !r.available;
+    setKeywordHint(browser.i18n.getMessage(r.available ? "popupKeywordAvailable" : "popupKeywordTaken"), r.available ? "ok" : "bad");
+  }, KEYWORD_CHECK_DELAY_MS);
+}
+
+/**
+ * Fills the keyword input with a suggestion in the selected style, derived from the
+ * custom title or the title of the current tab, or from the URL path.
+ */
+async function suggestKeyword() {
+  const url = longUrl.value.trim();
+  let pageTitle = title.value.trim();
+  if (!pageTitle) {
+    const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+    // Only use the tab title if the URL being shortened is from that tab's site.
+    try {
+      if (tab?.url && new URL(tab.url).host === new URL(url).host) pageTitle = tab.title || "";
+    } catch {
+      pageTitle = "";
+    }
+  }
+  const suggestion = Keywords.suggest(keywordStyle.value, { url, title: pageTitle, template: keywordRules.keywordTemplate }, keywordRules);
+  if (!suggestion) return setKeywordHint(browser.i18n.getMessage("popupKeywordNoSuggestion"), "bad");
+  keyword.value = suggestion;
+  checkKeyword();
+}
+
+/**
+ * Renders the per-tab progress and results of a "Shorten all tabs" batch.
+ * @param {object} batch - The batch state reported by the background script.
+ */
+function renderBatch(batch) {
+  batchArea.style.display = 'block';
+  const done = batch.items.filter(i => i.status === "done").length;
+  const failed = batch.items.filter(i => i.status === "failed").length;
+  batchSummary.textContent = browser.i18n.getMessage(
+    batch.running ? "popupStatusBatchRunning" : "popupStatusBatchFinished",
+    [String(done), String(batch.items.length), String(failed)]
+  );
+  btnShortenAll.disabled = batch.running;
+  btnCopyBatch.disabled = batch.running || !done;
+  btnCloseBatch.disabled = batch.running;
+  batchCopyText = batch.items
+    .filter(i => i.status === "done" && i.shortUrl)
+    .map(i => `${i.title || i.longUrl} – ${i.shortUrl}`)
+    .join("\n");
+
+  batchList.innerHTML = '';
+  for (const item of batch.items) {
+    const li = document.createElement('li');
+    const icon = document.createElement('span');
+    icon.className = 'batch-status ' + item.status;
+    icon.textContent = { pending: "…", running: "⏳", done: "✓", failed: "✕" }[item.status];
+
+    const main = document.createElement('div');
+    main.className = 'link-main';
+    const titleEl = document.createElement('div');
+    titleEl.className = 'link-title';
+    titleEl.textContent = item.title || item.longUrl;
+    const detail = document.createElement('div');
+    detail.className = 'link-target';
+    detail.textContent = item.status === "failed" ? item.error : (item.shortUrl || item.longUrl);
+    main.append(titleEl, detail);
+
+    li.append(icon, main);
+    batchList.appendChild(li);
+  }
+}
+
+/**
+ * Renders the shorten requests queued while the server was unreachable, with
+ * per-request retry and discard buttons.
+ * @param {object[]} queue - The queued requests.
+ */
+function renderQueue(queue) {
+  queueArea.style.display = queue.length ? 'block' : 'none';
+  queueSummary.textContent = browser.i18n.getMessage("popupStatusQueue", String(queue.length));
+
+  queueList.innerHTML = '';
+  for (const item of queue) {
+    const li = document.createElement('li');
+    const icon = document.createElement('span');
+    icon.className = 'batch-status ' + (item.status === "failed" ? "failed" : "pending");
+    icon.textContent = item.status === "failed" ? "✕" : "⏳";
+
+    const main = document.createElement('div');
+    main.className = 'link-main';
+    const titleEl = document.createElement('div');
+    titleEl.className = 'link-title';
+    titleEl.textContent = item.title || item.longUrl;
+    titleEl.title = item.longUrl;
+    const detail = document.createElement('div');
+    detail.className = 'link-target';
+    detail.textContent = item.status === "failed" || !item.nextAttemptAt
+      ? item.lastError
+      : browser.i18n.getMessage("popupStatusQueueNextRetry", [new Date(item.nextAttemptAt).toLocaleTimeString(), item.lastError]);
+    main.append(titleEl, detail);
+
+    const actions = document.createElement('div');
+    actions.className = 'link-actions';
+    actions.append(
+      linkButton("popupBtnRetry", () => browser.runtime.sendMessage({ type: "RETRY_QUEUE", id: item.id })),
+      linkButton("popupBtnDiscard", () => browser.runtime.sendMessage({ type: "DISCARD_QUEUED", id: item.id }), "secondary danger")
+    );
+
+    li.append(icon, main, actions);
+    queueList.appendChild(li);
   }
-  return { url, isShort };
 }
 
 /**
@@ -105,10 +446,12 @@ async function getInitialUrl(settings) {
  */
 function handleExistingShortUrl(url) {
   resultArea.style.display = 'block';
+  updateEditAvailability();
   shortUrl.value = url;
   statsInput.value = url;
   btnDelete.disabled = false;
-  longUrl.value = 'Loading...';
+  longUrl.value = browser.i18n.getMessage("popupLoading");
+  longUrlLoading = true;
   longUrl.disabled = true;
   keyword.disabled = true;
   title.disabled = true;
@@ -118,19 +461,176 @@ function handleExistingShortUrl(url) {
 }
 
 /**
- * Fetches and displays the main YOURLS dashboard stats.
+ * Shows the Edit button only if the server of the selected profile has an API edit plugin.
+ */
+async function updateEditAvailability() {
+  btnEdit.style.display = 'none';
+  editArea.style.display = 'none';
+  const r = await browser.runtime.sendMessage({ type: "DETECT_EDIT", profileId: currentProfileId() });
+  btnEdit.style.display = r?.ok && r.supported ? 'inline-block' : 'none';
+}
+
+/**
+ * Opens the edit form for the current short link, pre-filled with its current target,
+ * keyword and title.
+ */
+async function openEditor() {
+  const v = shortUrl.value.trim();
+  if (!v) return;
+  setMsg(browser.i18n.getMessage("popupStatusFetchingStats"));
+  const r = await browser.runtime.sendMessage({ type: "GET_STATS", shortUrl: v, profileId: currentProfileId() });
+  if (!r || !r.ok) return showError(r, "errorStatsFailed", openEditor);
+
+  const l = r.data?.link || r.data?.url || {};
+  editLongUrl.value = l.url || "";
+  editKeyword.value = (l.shorturl || v).split('/').pop();
+  editTitle.value = l.title || "";
+  editArea.style.display = 'block';
+  setMsg(browser.i18n.getMessage("popupStatusReady"));
+  editLongUrl.focus();
+}
+
+/**
+ * Fetches and displays the main YOURLS dashboard stats together with a page
+ * of links for the selected browser tab (Top, Latest or Bottom).
  */
 async function showDashboard() {
   dashboard.style.display = 'block';
-  dashboard.innerHTML = `<strong>${browser.i18n.getMessage("dashboardTitle")}</strong><br>Loading...`;
-  const r = await browser.runtime.sendMessage({ type: "GET_DB_STATS" });
+  dashboardTotals.innerHTML = `<strong>${browser.i18n.getMessage("dashboardTitle")}</strong><br>${browser.i18n.getMessage("popupLoading")}`;
+  const limit = Number(pageSizeSelect.value) || 10;
+  const r = await browser.runtime.sendMessage({
+    type: "GET_DB_STATS",
+    profileId: currentProfileId(),
+    filter: browserFilter,
+    limit,
+    start: browserStart
+  });
   if (r.ok) {
     const stats = r.data.stats || r.data;
-    dashboard.innerHTML = `<strong>${browser.i18n.getMessage("dashboardTitle")}</strong><br>` +
+    dashboardTotals.innerHTML = `<strong>${browser.i18n.getMessage("dashboardTitle")}</strong><br>` +
     `${stats.total_links} ${browser.i18n.getMessage("dashboardLinks")} &bull; ${stats.total_clicks} ${browser.i18n.getMessage("dashboardClicks")}`;
+    const links = H.extractLinks(r.data);
+    renderLinkList(links, trendsEnabled ? await ClickTrends.all() : {});
+    btnPrevPage.disabled = browserStart === 0;
+    btnNextPage.disabled = links.length < limit;
   } else {
-    dashboard.textContent = browser.i18n.getMessage("errorStatsFailed");
+    dashboardTotals.textContent = browser.i18n.getMessage("errorStatsFailed");
+    linkList.innerHTML = '';
+    showError(r, "errorStatsFailed", showDashboard);
+  }
+}
+
+/**
+ * Renders the rows of the server link browser.
+ * @param {object[]} links - Links as returned by `Helpers.extractLinks()`.
+ * @param {object} trends - The click series of watched links, by short URL.
+ */
+function renderLinkList(links, trends) {
+  linkList.innerHTML = '';
+  if (!links.length) {
+    const empty = document.createElement('li');
+    empty.className = 'link-empty';
+    empty.textContent = browser.i18n.getMessage("historyEmpty");
+    linkList.appendChild(empty);
+    return;
+  }
+
+  for (const link of links) {
+    const li = document.createElement('li');
+
+    const clicks = document.createElement('span');
+    clicks.className = 'link-clicks';
+    clicks.textContent = link.clicks;
+    clicks.title = browser.i18n.getMessage("dashboardClicks");
+
+    const main = document.createElement('div');
+    main.className = 'link-main';
+    const titleEl = document.createElement('div');
+    titleEl.className = 'link-title';
+    titleEl.textContent = link.title || link.shorturl;
+    const target = document.createElement('div');
+    target.className = 'link-target';
+    target.textContent = link.url;
+    target.title = link.url;
+    main.append(titleEl, target);
+    if (trends[link.shorturl]) main.appendChild(ClickTrends.render(trends[link.shorturl].points));
+
+    const qr = document.createElement('div');
+    qr.className = 'qrcode-container';
+    qr.style.display = 'none';
+
+    const actions = document.createElement('div');
+    actions.className = 'link-actions';
+    actions.append(
+      linkButton("popupBtnStats", () => {
+        statsInput.value = link.shorturl;
+        btnStats.click();
+      }),
+      linkButton("popupBtnQrCode", () => toggleRowQr(qr, link.shorturl)),
+      linkButton("popupBtnDelete", (e) => deleteFromList(link.shorturl, e.currentTarget), "secondary danger")
+    );
+    if (trendsEnabled) {
+      const watched = !!trends[link.shorturl];
+      actions.insertBefore(linkButton(watched ? "trendsBtnUnwatch" : "trendsBtnWatch", async () => {
+        if (await setWatched(link.shorturl, !watched)) showDashboard();
+      }), actions.lastChild);
+    }
+
+    li.append(clicks, main, actions, qr);
+    linkList.appendChild(li);
+  }
+}
+
+/**
+ * Creates a small action button for a link list row.
+ * @param {string} key - The i18n message key for the label.
+ * @param {Function} onClick - The click handler.
+ * @param {string} [cls="secondary"] - Button classes.
+ * @returns {HTMLButtonElement}
+ */
+function linkButton(key, onClick, cls = "secondary") {
+  const btn = document.createElement('button');
+  btn.className = cls;
+  btn.textContent = browser.i18n.getMessage(key);
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+/**
+ * Shows or hides the QR code of a link list row.
+ * @param {HTMLElement} container - The row's QR container.
+ * @param {string} url - The short URL to encode.
+ */
+function toggleRowQr(container, url) {
+  if (container.style.display === 'flex') {
+    container.style.display = 'none';
+    return;
   }
+  QrRenderer.render(container, url, qrOptions, 128);
+  container.style.display = 'flex';
+}
+
+/**
+ * Deletes a link from the link browser after a confirmation click.
+ * @param {string} url - The short URL to delete.
+ * @param {HTMLButtonElement} btn - The row's delete button.
+ */
+async function deleteFromList(url, btn) {
+  if (!btn.classList.contains('confirm-delete')) {
+    btn.textContent = browser.i18n.getMessage("popupBtnConfirmDelete");
+    btn.classList.add('confirm-delete');
+    setTimeout(() => {
+      btn.textContent = browser.i18n.getMessage("popupBtnDelete");
+      btn.classList.remove('confirm-delete');
+    }, 4000);
+    return;
+  }
+
+  setMsg(browser.i18n.getMessage("popupStatusDeleting"));
+  const r = await browser.runtime.sendMessage({ type: "DELETE_SHORTURL", shortUrl: url, profileId: currentProfileId() });
+  if (!r || !r.ok) return showError(r, "errorDeleteFailed");
+  setMsg(browser.i18n.getMessage("popupStatusDeleted"), "ok");
+  showDashboard();
 }
 
 /**
@@ -145,6 +645,58 @@ function displaySetupMessage() {
   });
 }
 
+/**
+ * Shows the passphrase prompt in place of the main UI while the vault is locked.
+ * @returns {Promise<boolean>} Resolves with true once the vault has been unlocked, or
+ *   with false if the prompt was cancelled; requests then fail as locked.
+ */
+function promptUnlock() {
+  const prompt = $('unlock-prompt');
+  const input = $('unlockPassphrase');
+  const btn = $('btnUnlock');
+  const btnCancel = $('btnUnlockCancel');
+  const unlockMsg = $('unlock-msg');
+  $('main-content').style.display = 'none';
+  prompt.style.display = 'block';
+  unlockMsg.style.display = 'none';
+  input.focus();
+
+  return new Promise(resolve => {
+    const onKey = (e) => {
+      if (e.key === 'Enter') submit();
+    };
+    // The prompt can be shown again later, so its listeners are removed each time.
+    const close = (unlocked) => {
+      btn.removeEventListener('click', submit);
+      btnCancel.removeEventListener('click', cancel);
+      input.removeEventListener('keydown', onKey);
+      input.value = '';
+      prompt.style.display = 'none';
+      $('main-content').style.display = '';
+      resolve(unlocked);
+    };
+    const cancel = () => close(false);
+    async function submit() {
+      if (!input.value) return;
+      btn.disabled = true;
+      unlockMsg.style.display = 'block';
+      unlockMsg.className = 'info';
+      unlockMsg.textContent = browser.i18n.getMessage('unlockChecking');
+      const ok = await Vault.unlock(input.value).catch(() => false);
+      btn.disabled = false;
+      if (!ok) {
+        unlockMsg.textContent = browser.i18n.getMessage('unlockWrongPassphrase');
+        input.select();
+        return;
+      }
+      close(true);
+    }
+    btn.addEventListener('click', submit);
+    btnCancel.addEventListener('click', cancel);
+    input.addEventListener('keydown', onKey);
+  });
+}
+
 /**
  * Populates all UI elements with text from the localization files.
  */
@@ -167,8 +719,62 @@ function internationalize() {
 function setMsg(text, cls = "") {
   msg.className = "info " + cls;
   msg.textContent = text;
+  recovery.style.display = 'none';
 }
 
+/**
+ * How the user can recover from each error category reported by the background
+ * (see `requestError()` in background.js): the button label and what it does.
+ * "Retry" is only offered where the failed request can be repeated.
+ */
+const RECOVERY = {
+  // Firefox closes the popup when the permission prompt opens, so the options page
+  // asks for the permission instead (see `showPendingGrant()` in options.js).
+  permission: ["recoveryGrantPermission", async r => {
+    await browser.storage.local.set({ yourls_grant_origin: r.origin });
+    browser.runtime.openOptionsPage();
+  }],
+  settings: ["recoveryOpenSettings", () => browser.runtime.openOptionsPage()],
+  auth: ["recoveryOpenSettings", () => browser.runtime.openOptionsPage()],
+  badResponse: ["recoveryOpenSettings", () => browser.runtime.openOptionsPage()],
+  locked: ["recoveryUnlock", async (r, retry) => {
+    if (await promptUnlock()) retry?.();
+  }],
+  unreachable: ["recoveryRetry", (r, retry) => retry()],
+  rateLimited: ["recoveryRetry", (r, retry) => retry()],
+  keywordTaken: ["recoverySuggestKeyword", async () => {
+    const taken = keyword.value.trim();
+    await suggestKeyword();
+    // The suggestion for the page may be the taken keyword itself.
+    if (keyword.value.trim() === taken) {
+      keyword.value = Keywords.suggest("random", { url: longUrl.value.trim() }, keywordRules);
+      checkKeyword();
+    }
+    keyword.focus();
+  }]
+};
+
+/**
+ * Shows a failed reply of the background script, with a button to recover from
+ * the error where there is a way.
+ * @param {{reason?: string, code?: string, origin?: string}|undefined} r - The reply.
+ * @param {string} fallbackKey - The message to show if the reply has no reason.
+ * @param {function} [retry] - Repeats the failed request.
+ */
+function showError(r, fallbackKey, retry) {
+  setMsg(r?.reason || browser.i18n.getMessage(fallbackKey));
+  const [labelKey, recover] = RECOVERY[r?.code] || [];
+  if (!recover || (labelKey === "recoveryRetry" && !retry)) return;
+  btnRecover.textContent = browser.i18n.getMessage(labelKey);
+  recoverAction = () => recover(r, retry);
+  recovery.style.display = 'flex';
+}
+
+btnRecover.addEventListener("click", () => {
+  recovery.style.display = 'none';
+  recoverAction?.();
+});
+
 /**
  * Toggles the visibility of the raw JSON response box.
  * @param {boolean} show - Whether to show or hide the box.
@@ -185,102 +791,183 @@ function toggleJson(show, data) {
 // EVENT LISTENERS
 // ==========================================================================
 
-btnShorten.addEventListener("click", async () => {
+longUrl.addEventListener("change", () => {
+  const v = longUrl.value.trim();
+  // Don't clean again what the user explicitly restored.
+  if (keptOriginal && v === keptOriginal) return;
+  keptOriginal = "";
+  applyCleaner(v);
+});
+
+keyword.addEventListener("input", checkKeyword);
+
+btnSuggestKeyword.addEventListener("click", suggestKeyword);
+
+keywordStyle.addEventListener("change", async () => {
+  await H.setSettings({ keywordStyle: keywordStyle.value });
+  suggestKeyword();
+});
+
+btnKeepOriginal.addEventListener("click", () => {
+  keptOriginal = originalUrl;
+  longUrl.value = originalUrl;
+  cleanPreview.style.display = 'none';
+});
+
+/**
+ * Shortens the URL in the long URL field and shows the result.
+ * @returns {Promise<boolean>} Whether a short link was created or found.
+ */
+async function shortenLongUrl() {
   const url = longUrl.value.trim();
-  if (!/^https?:\/\//i.test(url)) return setMsg(browser.i18n.getMessage("popupErrorInvalidUrl"));
+  if (!/^https?:\/\//i.test(url)) {
+    setMsg(browser.i18n.getMessage("popupErrorInvalidUrl"));
+    return false;
+  }
+  const kw = keyword.value.trim();
+  if (kw && (!Keywords.isValid(kw, keywordRules) || keywordTaken)) {
+    setMsg(browser.i18n.getMessage(keywordTaken ? "errorKeywordExists" : "popupKeywordInvalid"));
+    return false;
+  }
 
     setMsg(browser.i18n.getMessage("popupStatusShortening"));
   toggleJson(false);
+  btnShorten.disabled = true;
+  btnCancel.style.display = 'inline-block';
 
   const r = await browser.runtime.sendMessage({
     type: "SHORTEN_URL",
     longUrl: url,
     keyword: keyword.value.trim(),
-                                              title: title.value.trim()
+                                              title: title.value.trim(),
+                                              profileId: currentProfileId()
   });
+  btnShorten.disabled = false;
+  btnCancel.style.display = 'none';
 
-  if (!r || !r.ok) return setMsg(r?.reason || browser.i18n.getMessage("errorShortenFailed"));
+  if (!r || !r.ok) {
+    showError(r, "errorShortenFailed", shortenLongUrl);
+    return false;
+  }
 
   resultArea.style.display = 'block';
+  updateEditAvailability();
   shortUrl.value = r.shortUrl || "";
   statsInput.value = r.shortUrl || "";
   btnDelete.disabled = !r.shortUrl;
   qrcodeDisplay.style.display = 'none';
-  btnDownloadQr.style.display = 'none';
+  qrActions.style.display = 'none';
+
+  let message = r.already ? browser.i18n.getMessage("popupInfoAlreadyShortened") : browser.i18n.getMessage("popupStatusCreated");
+  if (autoCopy && r.shortUrl) {
+    const copied = await copyLink().then(() => true, () => false);
+    message += " " + browser.i18n.getMessage(copied ? "popupStatusCopied" : "popupErrorCopyFailed");
+  }
+  setMsg(message, "ok");
+  return !!r.shortUrl;
+}
 
-  setMsg(r.already ? browser.i18n.getMessage("popupInfoAlreadyShortened") : browser.i18n.getMessage("popupStatusCreated"), "ok");
+btnShorten.addEventListener("click", shortenLongUrl);
+
+btnCancel.addEventListener("click", () => {
+  browser.runtime.sendMessage({ type: "CANCEL_REQUESTS" });
+});
+
+btnRetryQueue.addEventListener("click", () => {
+  browser.runtime.sendMessage({ type: "RETRY_QUEUE" });
+});
+
+// Keep the queue display current while requests are retried in the background.
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.shortenQueue) renderQueue(changes.shortenQueue.newValue || []);
 });
 
+btnShortenAll.addEventListener("click", async () => {
+  const win = await browser.windows.getCurrent();
+  const r = await browser.runtime.sendMessage({ type: "SHORTEN_ALL_TABS", windowId: win.id, profileId: currentProfileId() });
+  if (!r || !r.ok) return showError(r, "errorShortenFailed", () => btnShortenAll.click());
+  renderBatch(r.batch);
+});
+
+btnCopyBatch.addEventListener("click", () => {
+  navigator.clipboard.writeText(batchCopyText).then(() => {
+    setMsg(browser.i18n.getMessage("popupStatusCopied"), "ok");
+  }).catch(() => {
+    setMsg(browser.i18n.getMessage("popupErrorCopyFailed"));
+  });
+});
+
+btnCloseBatch.addEventListener("click", async () => {
+  await browser.runtime.sendMessage({ type: "CLEAR_BATCH" });
+  batchArea.style.display = 'none';
+});
+
+// Progress updates pushed by the background script while a batch is running.
+browser.runtime.onMessage.addListener((m) => {
+  if (m?.type === "BATCH_PROGRESS" && m.batch) renderBatch(m.batch);
+});
+
+/**
+ * Copies the short link in the chosen format (see copy-formats.js).
+ * @returns {Promise<void>}
+ */
+function copyLink() {
+  const link = {
+    shortUrl: shortUrl.value.trim(),
+    longUrl: longUrlLoading ? "" : longUrl.value.trim(),
+    title: title.value.trim()
+  };
+  return CopyFormats.copy(copyFormat.value, link, copyTemplates);
+}
+
 btnCopyClose.addEventListener("click", () => {
-  const v = shortUrl.value.trim();
-  if (!v) return;
-  navigator.clipboard.writeText(v).then(() => {
+  if (!shortUrl.value.trim()) return;
+  copyLink().then(() => {
     window.close();
   }).catch(() => {
     setMsg(browser.i18n.getMessage("popupErrorCopyFailed"));
   });
 });
 
+// Remember the format, like the QR code file format, for the next copy.
+copyFormat.addEventListener("change", async () => {
+  await H.setSettings({ copyFormat: copyFormat.value });
+});
+
 btnQrCode.addEventListener("click", () => {
   const url = shortUrl.value.trim();
   if (!url) return;
   if (qrcodeDisplay.style.display === 'flex') {
     qrcodeDisplay.style.display = 'none';
-    btnDownloadQr.style.display = 'none';
+    qrActions.style.display = 'none';
     return;
   }
-  qrcodeDisplay.innerHTML = '';
-  new QRCode(qrcodeDisplay, {
-    text: url,
-    width: 160,
-    height: 160,
-    colorDark: "#111827",
-    colorLight: "#ffffff",
-    correctLevel: QRCode.CorrectLevel.H
-  });
+  QrRenderer.render(qrcodeDisplay, url, qrOptions, 160);
   qrcodeDisplay.style.display = 'flex';
-  btnDownloadQr.style.display = 'inline-block';
+  qrActions.style.display = 'flex';
 });
 
-btnDownloadQr.addEventListener("click", () => {
+btnDownloadQr.addEventListener("click", async () => {
   const url = shortUrl.value.trim();
   if (!url) return;
-
-  // --- NEW: High-Quality Download Logic ---
-  // 1. Create a temporary, hidden div to generate the large QR code.
-  const tempDiv = document.createElement('div');
-  tempDiv.style.display = 'none';
-  document.body.appendChild(tempDiv);
-
-  // 2. Generate a larger QR code (e.g., 512x512) in the temporary div.
-  new QRCode(tempDiv, {
-    text: url,
-    width: 512,
-    height: 512,
-    colorDark: "#000000",
-    colorLight: "#ffffff",
-    correctLevel: QRCode.CorrectLevel.H
-  });
-
-  // 3. Get the canvas from the temporary div.
-  const canvas = tempDiv.querySelector('canvas');
-  if (!canvas) {
-    document.body.removeChild(tempDiv); // Clean up
-    return;
-  }
-
-  // 4. Create the download link from the large canvas.
-  const link = document.createElement('a');
   const customKeyword = keyword.value.trim();
-  const shortKeyword = shortUrl.value.split('/').pop();
-  const filename = `kurl-qrcode-${customKeyword || shortKeyword || 'link'}.png`;
+  const shortKeyword = url.split('/').pop();
+  await QrRenderer.download(url, qrOptions, qrFormat.value, `kurl-qrcode-${customKeyword || shortKeyword || 'link'}`);
+});
 
-  link.download = filename;
-  link.href = canvas.toDataURL('image/png');
-  link.click();
+btnCopyQr.addEventListener("click", async () => {
+  const url = shortUrl.value.trim();
+  if (!url) return;
+  try {
+    await QrRenderer.copyImage(url, qrOptions);
+    setMsg(browser.i18n.getMessage("popupStatusQrCopied"), "ok");
+  } catch {
+    setMsg(browser.i18n.getMessage("popupErrorCopyFailed"));
+  }
+});
 
-  // 5. Remove the temporary div from the document.
-  document.body.removeChild(tempDiv);
+qrFormat.addEventListener("change", async () => {
+  await H.setSettings({ qrFormat: qrFormat.value });
 });
 
 btnStats.addEventListener("click", async () => {
@@ -290,9 +977,16 @@ btnStats.addEventListener("click", async () => {
   setMsg(browser.i18n.getMessage("popupStatusFetchingStats"));
   toggleJson(false);
   btnDetails.style.visibility = 'hidden';
+  trendArea.style.display = 'none';
+  milestoneArea.style.display = 'none';
 
-  const r = await browser.runtime.sendMessage({ type: "GET_STATS", shortUrl: q });
-  if (!r || !r.ok) return setMsg(r?.reason || browser.i18n.getMessage("errorStatsFailed"));
+  const r = await browser.runtime.sendMessage({ type: "GET_STATS", shortUrl: q, profileId: currentProfileId() });
+  // Don't leave the loading text in place if the stats can't be fetched.
+  if (longUrlLoading) {
+    longUrl.value = "";
+    longUrlLoading = false;
+  }
+  if (!r || !r.ok) return showError(r, "errorStatsFailed", () => btnStats.click());
 
   const l = r.data?.link || r.data?.url || {};
   const message = browser.i18n.getMessage("popupStatusStatsResult", [l.shorturl || "?", l.url || "?", l.clicks ?? "?"]);
@@ -301,15 +995,180 @@ btnStats.addEventListener("click", async () => {
   if (longUrl.disabled && l.url) {
     longUrl.value = l.url;
   }
+  // Fill in the title too, so existing links can be copied with it.
+  if (title.disabled && l.title) {
+    title.value = l.title;
+  }
 
   jsonBox.textContent = JSON.stringify(r.data, null, 2);
   btnDetails.style.visibility = 'visible';
+  await showTrend(l.shorturl);
+});
+
+/**
+ * Shows the click trend of the link in the stats area, with a button to watch it.
+ * @param {string} url - The short URL as returned by the stats request.
+ */
+async function showTrend(url) {
+  if (!trendsEnabled || !url) {
+    trendArea.style.display = 'none';
+    milestoneArea.style.display = 'none';
+    return;
+  }
+  const series = await ClickTrends.get(url);
+  trendDisplay.replaceChildren(...(series ? [ClickTrends.render(series.points)] : []));
+  btnWatch.textContent = browser.i18n.getMessage(series ? "trendsBtnUnwatch" : "trendsBtnWatch");
+  btnWatch.dataset.url = url;
+  btnWatch.dataset.watched = series ? "1" : "";
+  trendArea.style.display = 'flex';
+  showMilestones(url, series);
+}
+
+/**
+ * Shows the click-milestone alerts of a watched link for editing.
+ * @param {string} url - The short URL.
+ * @param {object|null} series - The click series of the link, or null if it isn't watched.
+ */
+function showMilestones(url, series) {
+  if (!milestonesEnabled || !series) {
+    milestoneArea.style.display = 'none';
+    return;
+  }
+  // Links watched before notifications were turned on start out with the default milestones.
+  const alerts = ClickMilestones.normalize(series.alerts || { thresholds: milestoneDefaults });
+  milestoneInput.value = ClickMilestones.formatThresholds(alerts.thresholds);
+  milestoneAnyClick.checked = alerts.anyClick;
+  milestoneQuietStart.value = alerts.quietStart;
+  milestoneQuietEnd.value = alerts.quietEnd;
+  btnClearMilestones.disabled = !series.alerts;
+  milestoneArea.dataset.url = url;
+  milestoneArea.style.display = 'block';
+}
+
+/**
+ * Saves or turns off the click-milestone alerts of the link shown in the stats area.
+ * @param {object|null} alerts - The alert settings, or null to turn them off.
+ */
+async function saveMilestones(alerts) {
+  const url = milestoneArea.dataset.url;
+  const r = await browser.runtime.sendMessage({ type: "SET_MILESTONES", shortUrl: url, alerts });
+  if (!r || !r.ok) return showError(r, "errorStatsFailed", () => saveMilestones(alerts));
+  setMsg(browser.i18n.getMessage(alerts ? "milestonesStatusSaved" : "milestonesStatusOff"), "ok");
+  await showTrend(url);
+}
+
+btnSaveMilestones.addEventListener("click", () => {
+  const thresholds = ClickMilestones.parseThresholds(milestoneInput.value);
+  if (!thresholds.length && !milestoneAnyClick.checked) return setMsg(browser.i18n.getMessage("errorMilestonesEmpty"));
+  saveMilestones({
+    thresholds,
+    anyClick: milestoneAnyClick.checked,
+    quietStart: milestoneQuietStart.value,
+    quietEnd: milestoneQuietEnd.value
+  });
+});
+
+btnClearMilestones.addEventListener("click", () => saveMilestones(null));
+
+/**
+ * Starts or stops watching the clicks of a link.
+ * @param {string} url - The short URL.
+ * @param {boolean} watch - Whether to watch it.
+ * @returns {Promise<boolean>} Whether it worked; failures are shown in the status line.
+ */
+async function setWatched(url, watch) {
+  const r = await browser.runtime.sendMessage({ type: "WATCH_LINK", shortUrl: url, profileId: currentProfileId(), watch });
+  if (!r || !r.ok) {
+    showError(r, "errorStatsFailed");
+    return false;
+  }
+  setMsg(browser.i18n.getMessage(watch ? "trendsStatusWatching" : "trendsStatusUnwatched"), "ok");
+  return true;
+}
+
+btnWatch.addEventListener("click", async () => {
+  const url = btnWatch.dataset.url;
+  btnWatch.disabled = true;
+  await setWatched(url, !btnWatch.dataset.watched);
+  btnWatch.disabled = false;
+  await showTrend(url);
+});
+
+profileSelect.addEventListener("change", async () => {
+  // Remember the choice so the next popup (and the plain context menu items) use it too.
+  await H.setSettings({ activeProfileId: currentProfileId() });
+  applyProfileDefaults();
+  browserStart = 0;
+  if (dashboard.style.display === 'block') showDashboard();
+  if (resultArea.style.display === 'block') updateEditAvailability();
+  if (keyword.value.trim()) checkKeyword();
+});
+
+dashboard.querySelectorAll('.tab').forEach(tab => {
+  tab.addEventListener("click", () => {
+    dashboard.querySelectorAll('.tab').forEach(t => t.classList.toggle('active', t === tab));
+    browserFilter = tab.dataset.filter;
+    browserStart = 0;
+    showDashboard();
+  });
+});
+
+pageSizeSelect.addEventListener("change", async () => {
+  await H.setSettings({ linkBrowserPageSize: Number(pageSizeSelect.value) });
+  browserStart = 0;
+  showDashboard();
+});
+
+btnPrevPage.addEventListener("click", () => {
+  browserStart = Math.max(0, browserStart - (Number(pageSizeSelect.value) || 10));
+  showDashboard();
+});
+
+btnNextPage.addEventListener("click", () => {
+  browserStart += Number(pageSizeSelect.value) || 10;
+  showDashboard();
 });
 
 btnDetails.addEventListener("click", () => {
   toggleJson(jsonBox.style.display !== "block");
 });
 
+btnEdit.addEventListener("click", () => {
+  if (editArea.style.display === 'block') {
+    editArea.style.display = 'none';
+    return;
+  }
+  openEditor();
+});
+
+btnCancelEdit.addEventListener("click", () => {
+  editArea.style.display = 'none';
+});
+
+btnSaveEdit.addEventListener("click", async () => {
+  const url = editLongUrl.value.trim();
+  if (!/^https?:\/\//i.test(url)) return setMsg(browser.i18n.getMessage("popupErrorInvalidUrl"));
+
+  setMsg(browser.i18n.getMessage("popupStatusSavingEdit"));
+  btnSaveEdit.disabled = true;
+  const r = await browser.runtime.sendMessage({
+    type: "EDIT_SHORTURL",
+    shortUrl: shortUrl.value.trim(),
+    changes: { url, keyword: editKeyword.value.trim(), title: editTitle.value.trim() },
+    profileId: currentProfileId()
+  });
+  btnSaveEdit.disabled = false;
+  if (!r || !r.ok) return showError(r, "errorEditFailed", () => btnSaveEdit.click());
+
+  shortUrl.value = r.shortUrl;
+  statsInput.value = r.shortUrl;
+  if (longUrl.disabled) longUrl.value = url;
+  editArea.style.display = 'none';
+  qrcodeDisplay.style.display = 'none';
+  qrActions.style.display = 'none';
+  setMsg(browser.i18n.getMessage("popupStatusEdited"), "ok");
+});
+
 btnDelete.addEventListener("click", async () => {
   const v = (statsInput.value || shortUrl.value).trim();
   if (!v) return setMsg(browser.i18n.getMessage("popupErrorProvideUrlToDelete"));
@@ -326,19 +1185,32 @@ btnDelete.addEventListener("click", async () => {
 
   btnDelete.classList.remove('confirm-delete');
   btnDelete.textContent = browser.i18n.getMessage("popupBtnDelete");
+  await deleteShortUrl(v);
+});
+
+// Undo a link created in quick mode; the notification click was the confirmation.
+btnUndo.addEventListener("click", () => deleteShortUrl(shortUrl.value.trim()));
+
+/**
+ * Deletes a short link on the server and clears the result area.
+ * @param {string} v - The short URL or keyword to delete.
+ */
+async function deleteShortUrl(v) {
   setMsg(browser.i18n.getMessage("popupStatusDeleting"));
 
-  const r = await browser.runtime.sendMessage({ type: "DELETE_SHORTURL", shortUrl: v });
-  if (!r || !r.ok) return setMsg(r?.reason || browser.i18n.getMessage("errorDeleteFailed"));
+  const r = await browser.runtime.sendMessage({ type: "DELETE_SHORTURL", shortUrl: v, profileId: currentProfileId() });
+  if (!r || !r.ok) return showError(r, "errorDeleteFailed");
 
   setMsg(browser.i18n.getMessage("popupStatusDeleted"), "ok");
   shortUrl.value = "";
   statsInput.value = "";
   btnDelete.disabled = true;
+  btnUndo.style.display = 'none';
   resultArea.style.display = 'none';
+  editArea.style.display = 'none';
   qrcodeDisplay.style.display = 'none';
-  btnDownloadQr.style.display = 'none';
-});
+  qrActions.style.display = 'none';
+}
 
 /**
  * A final initialization function to set the default state of some UI elements.
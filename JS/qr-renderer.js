@@ -0,0 +1,208 @@
+/**
+ * @file qr-renderer.js
+ * @description Draws QR codes with the user's settings (colours, size, quiet zone,
+ * error correction and an optional centre logo) as a canvas, PNG or SVG. The bundled
+ * qrcode.min.js is only used to compute the module matrix, so both formats look alike.
+ * Like helpers.js, this module is an IIFE exposing its API on `window.QrRenderer`.
+ */
+
+window.QrRenderer = (function() {
+  /** The error correction levels, from 7 % to 30 % recoverable damage. */
+  const LEVELS = ["L", "M", "Q", "H"];
+  const DEFAULTS = { foreground: "#111827", background: "#ffffff", size: 512, margin: 4, level: "H", logo: "" };
+  /** The allowed download sizes in pixels. */
+  const MIN_SIZE = 128;
+  const MAX_SIZE = 4096;
+  /** The logo covers this share of the code's width; level H recovers the hidden modules. */
+  const LOGO_RATIO = 0.22;
+
+  const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+  const LOGO_PATTERN = /^data:image\/(png|jpeg|gif|webp|svg\+xml);base64,[A-Za-z0-9+/=]+$/;
+
+  /**
+   * Builds render options from the settings, falling back to the defaults for invalid values.
+   * @param {object} settings - From `Helpers.getSettings()`.
+   * @returns {{foreground: string, background: string, size: number, margin: number, level: string, logo: string}}
+   */
+  function fromSettings(settings) {
+    const size = Math.round(Number(settings?.qrSize));
+    const margin = Math.round(Number(settings?.qrMargin));
+    return {
+      foreground: COLOR_PATTERN.test(settings?.qrForeground) ? settings.qrForeground : DEFAULTS.foreground,
+      background: COLOR_PATTERN.test(settings?.qrBackground) ? settings.qrBackground : DEFAULTS.background,
+      size: size >= MIN_SIZE && size <= MAX_SIZE ? size : DEFAULTS.size,
+      margin: margin >= 0 && margin <= 10 ? margin : DEFAULTS.margin,
+      level: LEVELS.includes(settings?.qrErrorLevel) ? settings.qrErrorLevel : DEFAULTS.level,
+      logo: LOGO_PATTERN.test(settings?.qrLogo || "") ? settings.qrLogo : ""
+    };
+  }
+
+  /**
+   * Computes the module matrix of a QR code.
+   * @param {string} text - The text to encode.
+   * @param {string} level - The error correction level.
+   * @returns {{count: number, isDark: function(number, number): boolean}}
+   */
+  function matrix(text, level) {
+    const holder = document.createElement("div");
+    const qr = new QRCode(holder, { text, width: 64, height: 64, correctLevel: QRCode.CorrectLevel[level] });
+    // qrcode.min.js has no public accessor for the matrix it draws.
+    const model = qr._oQRCode;
+    const count = model.getModuleCount();
+    const dark = [];
+    for (let row = 0; row < count; row++) {
+      for (let col = 0; col < count; col++) dark.push(model.isDark(row, col));
+    }
+    return { count, isDark: (row, col) => dark[row * count + col] };
+  }
+
+  /**
+   * Loads an image from a data URL.
+   * @param {string} src
+   * @returns {Promise<HTMLImageElement>}
+   */
+  function loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = reject;
+      img.src = src;
+    });
+  }
+
+  /**
+   * Draws a QR code onto a new canvas.
+   * @param {string} text - The text to encode.
+   * @param {object} options - Render options from `fromSettings()`.
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async function toCanvas(text, options) {
+    const { count, isDark } = matrix(text, options.level);
+    const total = count + 2 * options.margin;
+    const scale = options.size / total;
+    const canvas = document.createElement("canvas");
+    canvas.width = canvas.height = options.size;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = options.background;
+    ctx.fillRect(0, 0, options.size, options.size);
+    ctx.fillStyle = options.foreground;
+    // Round both edges of every module so neighbouring modules leave no hairline gaps.
+    const edge = (i) => Math.round((i + options.margin) * scale);
+    for (let row = 0; row < count; row++) {
+      for (let col = 0; col < count; col++) {
+        if (isDark(row, col)) ctx.fillRect(edge(col), edge(row), edge(col + 1) - edge(col), edge(row + 1) - edge(row));
+      }
+    }
+    if (options.logo) {
+      const img = await loadImage(options.logo).catch(() => null);
+      if (img) {
+        const box = count * LOGO_RATIO * scale;
+        const pad = scale;
+        const x = (options.size - box) / 2;
+        ctx.fillStyle = options.background;
+        ctx.fillRect(x - pad, x - pad, box + 2 * pad, box + 2 * pad);
+        ctx.drawImage(img, x, x, box, box);
+      }
+    }
+    return canvas;
+  }
+
+  /**
+   * Renders a QR code as a PNG file.
+   * @param {string} text - The text to encode.
+   * @param {object} options - Render options from `fromSettings()`.
+   * @returns {Promise<Blob>}
+   */
+  async function toPngBlob(text, options) {
+    const canvas = await toCanvas(text, options);
+    return new Promise((resolve, reject) => canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("PNG encoding failed")), "image/png"));
+  }
+
+  /**
+   * Renders a QR code as an SVG document. Runs of dark modules are merged into one
+   * rectangle each, which keeps the file small.
+   * @param {string} text - The text to encode.
+   * @param {object} options - Render options from `fromSettings()`.
+   * @returns {string}
+   */
+  function toSvg(text, options) {
+    const { count, isDark } = matrix(text, options.level);
+    const m = options.margin;
+    const total = count + 2 * m;
+    let path = "";
+    for (let row = 0; row < count; row++) {
+      for (let col = 0; col < count; col++) {
+        if (!isDark(row, col)) continue;
+        const start = col;
+        while (col + 1 < count && isDark(row, col + 1)) col++;
+        path += `M${start + m} ${row + m}h${col - start + 1}v1h-${col - start + 1}z`;
+      }
+    }
+    let logo = "";
+    if (options.logo) {
+      const box = count * LOGO_RATIO;
+      const x = (total - box) / 2;
+      const n = (v) => v.toFixed(3);
+      logo = `<rect x="${n(x - 1)}" y="${n(x - 1)}" width="${n(box + 2)}" height="${n(box + 2)}" fill="${options.background}"/>` +
+        `<image x="${n(x)}" y="${n(x)}" width="${n(box)}" height="${n(box)}" href="${options.logo}"/>`;
+    }
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" width="${options.size}" height="${options.size}" shape-rendering="crispEdges">` +
+      `<rect width="${total}" height="${total}" fill="${options.background}"/>` +
+      `<path fill="${options.foreground}" d="${path}"/>${logo}</svg>\n`;
+  }
+
+  /**
+   * Shows a QR code in a container, sharp on high-density screens.
+   * @param {HTMLElement} container - The element to render into; its content is replaced.
+   * @param {string} text - The text to encode.
+   * @param {object} options - Render options from `fromSettings()`.
+   * @param {number} displaySize - The displayed width and height in CSS pixels.
+   */
+  async function render(container, text, options, displaySize) {
+    const canvas = await toCanvas(text, { ...options, size: Math.round(displaySize * (window.devicePixelRatio || 1)) });
+    canvas.style.width = canvas.style.height = `${displaySize}px`;
+    canvas.title = text;
+    container.replaceChildren(canvas);
+  }
+
+  /**
+   * Downloads a QR code as a PNG or SVG file.
+   * @param {string} text - The text to encode.
+   * @param {object} options - Render options from `fromSettings()`.
+   * @param {"png"|"svg"} format - The file format.
+   * @param {string} basename - The file name without extension.
+   */
+  async function download(text, options, format, basename) {
+    if (format === "svg") {
+      window.Helpers.downloadText(toSvg(text, options), `${basename}.svg`, "image/svg+xml");
+    } else {
+      window.Helpers.downloadBlob(await toPngBlob(text, options), `${basename}.png`);
+    }
+  }
+
+  /**
+   * Copies a QR code to the clipboard as a PNG image.
+   * @param {string} text - The text to encode.
+   * @param {object} options - Render options from `fromSettings()`.
+   */
+  async function copyImage(text, options) {
+    const blob = await toPngBlob(text, options);
+    if (browser.clipboard?.setImageData) {
+      await browser.clipboard.setImageData(await blob.arrayBuffer(), "png");
+    } else {
+      await navigator.clipboard.write([new ClipboardItem({ "image/png": blob })]);
+    }
+  }
+
+  return {
+    LEVELS,
+    DEFAULTS,
+    fromSettings,
+    toPngBlob,
+    toSvg,
+    render,
+    download,
+    copyImage
+  };
+})();
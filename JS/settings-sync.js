@@ -0,0 +1,328 @@
+/**
+ * @file settings-sync.js
+ * @description Moves the configuration between browsers: opt-in mirroring of the
+ * settings to `browser.storage.sync`, and backup files for export and import.
+ * Tokens and passwords are only synced when the user asks for it; with a master
+ * passphrase they stay encrypted (see vault.js) wherever they go.
+ * Like helpers.js, this module is an IIFE exposing its API on `window.SettingsSync`.
+ */
+
+window.SettingsSync = (function() {
+  /** The storage keys that make up the configuration. */
+  const SETTINGS_KEYS = [
+    "profiles", "activeProfileId", "autoCopy", "quickMode", "badgeServerLookup",
+    "keywordCharset", "keywordHyphens", "keywordTemplate", "keywordStyle", "linkBrowserPageSize",
+    "stripTracking", "trackingParams", "trackingDomainRules", "redirectRules",
+    "qrForeground", "qrBackground", "qrSize", "qrMargin", "qrErrorLevel", "qrFormat",
+    "labelTemplate", "labelPageSize", "trendsEnabled", "trendsIntervalMinutes",
+    "milestonesEnabled", "milestoneThresholds", "milestoneQuietStart", "milestoneQuietEnd",
+    "copyFormat", "copyTemplates"
+  ];
+  /** The keys that are only kept in backup files; the QR logo can exceed the 8 KB per value of storage.sync. */
+  const BACKUP_KEYS = [...SETTINGS_KEYS, "qrLogo"];
+  /** The profile fields that hold secrets, in plain text or sealed. */
+  const SECRET_FIELDS = ["apiSignature", "password", "sealed"];
+  /**
+   * The version of the backup file format. Version 1 is the flat
+   * `{yourlsUrl, apiSignature, autoCopy}` object of kurl 1.0.
+   */
+  const SCHEMA_VERSION = 2;
+  // Collect bursts of changes (e.g. "Save" on the options page) into one upload.
+  const PUSH_DELAY_MS = 2000;
+
+  let pushTimer = null;
+
+  /**
+   * Reads the sync preferences, which are never synced themselves.
+   * @returns {Promise<{syncEnabled: boolean, syncSecrets: boolean}>}
+   */
+  async function getPreferences() {
+    const o = await browser.storage.local.get({ syncEnabled: false, syncSecrets: false });
+    return { syncEnabled: o.syncEnabled === true, syncSecrets: o.syncSecrets === true };
+  }
+
+  /**
+   * Removes the secrets from a profile.
+   * @param {object} profile
+   * @returns {object}
+   */
+  function withoutSecrets(profile) {
+    const copy = { ...profile };
+    for (const field of SECRET_FIELDS) delete copy[field];
+    return copy;
+  }
+
+  /**
+   * Checks whether two stored values are equal.
+   * @returns {boolean}
+   */
+  function same(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+
+  /**
+   * Builds the synced form of the local configuration.
+   * @param {object} local - The stored settings.
+   * @param {boolean} includeSecrets - Whether tokens and passwords are included.
+   * @returns {object}
+   */
+  function toSynced(local, includeSecrets) {
+    const data = {};
+    for (const key of SETTINGS_KEYS) {
+      if (local[key] !== undefined) data[key] = local[key];
+    }
+    if (Array.isArray(data.profiles) && !includeSecrets) data.profiles = data.profiles.map(withoutSecrets);
+    // Sealed secrets are useless without the vault they were encrypted with.
+    if (includeSecrets && local.vault) data.vault = local.vault;
+    return data;
+  }
+
+  /**
+   * Merges synced profiles into the local ones. Secrets that were not synced are
+   * kept from the local profile with the same ID.
+   * @param {object[]} remote - The synced profiles.
+   * @param {object[]} local - The local profiles.
+   * @param {boolean} keepLocalOnly - Whether profiles only known locally are kept.
+   * @returns {object[]}
+   */
+  function mergeProfiles(remote, local, keepLocalOnly) {
+    const merged = remote.map(profile => {
+      const mine = local.find(p => p.id === profile.id);
+      if (!mine || SECRET_FIELDS.some(field => profile[field])) return profile;
+      const secrets = Object.fromEntries(SECRET_FIELDS.filter(f => mine[f] !== undefined).map(f => [f, mine[f]]));
+      return { ...profile, ...secrets };
+    });
+    if (keepLocalOnly) merged.push(...local.filter(p => !remote.some(r => r.id === p.id)));
+    return merged;
+  }
+
+  /**
+   * Keeps plain-text secrets synced by a device without a master passphrase from being
+   * stored next to the vault of this one. They are sealed with the key of this session;
+   * while the vault is locked, the local secrets of the profile are kept instead.
+   * @param {object[]} profiles - The merged profiles.
+   * @param {object[]} local - The local profiles.
+   * @param {CryptoKey|null} key - The vault key, if unlocked.
+   * @returns {Promise<{profiles: object[], refused: boolean}>} The profiles to store, and
+   *   whether secrets were left out.
+   */
+  async function protectSecrets(profiles, local, key) {
+    let refused = false;
+    const result = await Promise.all(profiles.map(async profile => {
+      if (!window.Vault.SECRET_FIELDS.some(field => profile[field])) return profile;
+      if (key) return window.Vault.seal(profile, key);
+      refused = true;
+      return mergeProfiles([withoutSecrets(profile)], local, false)[0];
+    }));
+    return { profiles: result, refused };
+  }
+
+  /**
+   * Updates the sync status shown on the options page, keeping its other fields.
+   * @param {object} fields - `at` and `error` of the last upload, or `secretsRefused`.
+   */
+  async function setStatus(fields) {
+    const { syncStatus } = await browser.storage.local.get({ syncStatus: null });
+    await browser.storage.local.set({ syncStatus: { ...syncStatus, ...fields } });
+  }
+
+  /**
+   * Uploads the local configuration to `storage.sync`, if sync is enabled.
+   * Only values that differ are written, so a pulled change isn't echoed back.
+   */
+  async function push() {
+    const { syncEnabled, syncSecrets } = await getPreferences();
+    if (!syncEnabled) return;
+    const local = await browser.storage.local.get([...SETTINGS_KEYS, "vault"]);
+    const data = toSynced(local, syncSecrets);
+    const remote = await browser.storage.sync.get(null);
+    const changed = Object.fromEntries(Object.entries(data).filter(([key, value]) => !same(value, remote[key])));
+    const removed = (remote.vault && !data.vault) ? ["vault"] : [];
+    try {
+      if (Object.keys(changed).length) await browser.storage.sync.set({ ...changed, syncedAt: Date.now() });
+      if (removed.length) await browser.storage.sync.remove(removed);
+      await setStatus({ at: Date.now(), error: "" });
+    } catch (e) {
+      // Most likely the storage.sync quota (100 KB, 8 KB per value) was exceeded.
+      await setStatus({ at: Date.now(), error: String(e?.message || e) });
+      throw e;
+    }
+  }
+
+  /**
+   * Uploads the configuration after a short delay.
+   */
+  function schedulePush() {
+    clearTimeout(pushTimer);
+    pushTimer = setTimeout(() => push().catch(e => console.warn("Settings sync failed.", e)), PUSH_DELAY_MS);
+  }
+
+  /**
+   * Applies the synced configuration locally, if sync is enabled. With a master
+   * passphrase, plain-text secrets from other devices are sealed or refused (see
+   * `protectSecrets()`); refusals are reported in the sync status.
+   * @param {boolean} [keepLocalOnly=false] - Keep profiles that were never synced
+   *   (when sync is switched on, rather than profiles deleted on another device).
+   * @returns {Promise<boolean>} Whether anything changed.
+   */
+  async function pull(keepLocalOnly = false) {
+    const { syncEnabled, syncSecrets } = await getPreferences();
+    if (!syncEnabled) return false;
+    const remote = await browser.storage.sync.get([...SETTINGS_KEYS, "vault"]);
+    if (!Object.keys(remote).length) return false;
+    const local = await browser.storage.local.get([...SETTINGS_KEYS, "vault"]);
+    const changes = {};
+    if (syncSecrets && remote.vault && !same(remote.vault, local.vault)) changes.vault = remote.vault;
+    // The key of this session only fits the local vault.
+    const vaultKey = local.vault && !changes.vault ? await window.Vault.getKey() : null;
+    for (const key of SETTINGS_KEYS) {
+      if (remote[key] === undefined) continue;
+      let value = remote[key];
+      if (key === "profiles" && Array.isArray(value)) {
+        // Secrets synced by a device that opted in are only taken if this one did too.
+        const localProfiles = Array.isArray(local.profiles) ? local.profiles : [];
+        const profiles = syncSecrets ? value : value.map(withoutSecrets);
+        value = mergeProfiles(profiles, localProfiles, keepLocalOnly);
+        let refused = false;
+        if (changes.vault || local.vault) ({ profiles: value, refused } = await protectSecrets(value, localProfiles, vaultKey));
+        await setStatus({ secretsRefused: refused });
+      }
+      if (!same(value, local[key])) changes[key] = value;
+    }
+    if (!Object.keys(changes).length) return false;
+    await browser.storage.local.set(changes);
+    // A different passphrase elsewhere: the key of this session no longer fits.
+    if (changes.vault) await window.Vault.lock();
+    return true;
+  }
+
+  /**
+   * Switches sync on or off. Switching it on first adopts what other devices have
+   * synced, keeping local-only profiles, and then uploads the result.
+   * @param {boolean} enabled - Whether to sync.
+   * @param {boolean} includeSecrets - Whether tokens and passwords are synced.
+   * @returns {Promise<boolean>} Whether the local configuration changed.
+   */
+  async function configure(enabled, includeSecrets) {
+    await browser.storage.local.set({ syncEnabled: enabled, syncSecrets: includeSecrets });
+    if (!enabled) return false;
+    const changed = await pull(true);
+    // Without secrets, this also takes previously synced secrets back out of storage.sync.
+    await push();
+    return changed;
+  }
+
+  /**
+   * Checks whether a storage change touches the synced configuration.
+   * @param {object} changes - The changes passed to `storage.onChanged`.
+   * @returns {boolean}
+   */
+  function touches(changes) {
+    return SETTINGS_KEYS.some(key => key in changes) || "vault" in changes;
+  }
+
+  /**
+   * Builds the contents of a backup file.
+   * @param {boolean} includeSecrets - Whether tokens and passwords are included.
+   * @returns {Promise<object>}
+   */
+  async function exportConfig(includeSecrets) {
+    const local = await browser.storage.local.get([...BACKUP_KEYS, "vault"]);
+    const settings = {};
+    for (const key of BACKUP_KEYS) {
+      if (local[key] !== undefined) settings[key] = local[key];
+    }
+    if (Array.isArray(settings.profiles) && !includeSecrets) settings.profiles = settings.profiles.map(withoutSecrets);
+    if (includeSecrets && local.vault) settings.vault = local.vault;
+    return { kurl: "settings", version: SCHEMA_VERSION, exportedAt: new Date().toISOString(), settings };
+  }
+
+  /**
+   * Brings a backup to the current format.
+   * @param {object} data - The parsed file.
+   * @returns {object|null} The settings to store, or null if the file is not a kurl backup.
+   * @throws {Error} If the file was written by a newer version of kurl.
+   */
+  function migrate(data) {
+    if (!data || typeof data !== "object") return null;
+    let version, settings;
+    if (data.kurl === "settings") {
+      version = Number(data.version) || 0;
+      settings = data.settings;
+    } else if ("yourlsUrl" in data || "apiSignature" in data || "profiles" in data) {
+      // An unwrapped settings object, as stored by kurl 1.0.
+      version = 1;
+      settings = data;
+    }
+    if (!settings || typeof settings !== "object" || !version) return null;
+    if (version > SCHEMA_VERSION) throw new Error(browser.i18n.getMessage("optionsBackupTooNew"));
+
+    settings = { ...settings };
+    if (version < 2 && !Array.isArray(settings.profiles) && (settings.yourlsUrl || settings.apiSignature)) {
+      settings.profiles = [window.Helpers.createProfile({
+        id: "default",
+        yourlsUrl: window.Helpers.sanitizeBaseUrl(settings.yourlsUrl),
+        apiSignature: String(settings.apiSignature || "")
+      })];
+      settings.activeProfileId = "default";
+    }
+
+    const result = {};
+    for (const key of BACKUP_KEYS) {
+      if (settings[key] !== undefined) result[key] = settings[key];
+    }
+    if (result.profiles !== undefined) {
+      if (!Array.isArray(result.profiles)) return null;
+      result.profiles = result.profiles.filter(p => p && typeof p === "object").map(p => window.Helpers.createProfile(p));
+    }
+    // Sealed secrets can only be restored together with their vault.
+    if (settings.vault?.salt && settings.vault?.check) result.vault = settings.vault;
+    else if (result.profiles) result.profiles = result.profiles.map(({ sealed, ...p }) => p);
+    return result;
+  }
+
+  /**
+   * Restores a backup, replacing the current configuration. If the backup was made
+   * without tokens and passwords, those of profiles with the same ID are kept. Plain-text
+   * secrets don't remove a master passphrase of this device: they are sealed with it,
+   * which needs the vault to be unlocked.
+   * @param {object} data - The parsed file.
+   * @returns {Promise<boolean>} False if the file is not a kurl backup.
+   * @throws {Error} If the backup has plain-text secrets and the local vault is locked.
+   */
+  async function importConfig(data) {
+    const settings = migrate(data);
+    if (!settings) return false;
+    const hasSecrets = (settings.profiles || []).some(p => SECRET_FIELDS.some(field => p[field]));
+    const { vault } = await browser.storage.local.get({ vault: null });
+    if (hasSecrets && vault && !settings.vault) {
+      const key = await window.Vault.getKey();
+      if (!key) throw new Error(browser.i18n.getMessage("optionsBackupUnlockFirst"));
+      ({ profiles: settings.profiles } = await protectSecrets(settings.profiles, [], key));
+      await window.Helpers.setSettings(settings);
+    } else if (hasSecrets) {
+      await window.Helpers.setSettings(settings);
+      // The passphrase of the backup replaces the current one, if any.
+      if (!settings.vault) await browser.storage.local.remove("vault");
+      await window.Vault.lock();
+    } else {
+      const { profiles } = await browser.storage.local.get({ profiles: [] });
+      if (settings.profiles) settings.profiles = mergeProfiles(settings.profiles, Array.isArray(profiles) ? profiles : [], false);
+      delete settings.vault;
+      await window.Helpers.setSettings(settings);
+    }
+    return true;
+  }
+
+  return {
+    SCHEMA_VERSION,
+    getPreferences,
+    push,
+    schedulePush,
+    pull,
+    configure,
+    touches,
+    exportConfig,
+    importConfig
+  };
+})();
@@ -0,0 +1,93 @@
+/**
+ * @file shorten-queue.js
+ * @description Persistent queue of shorten requests that failed because the YOURLS
+ * server was unreachable (offline, timeout, server error). The background script
+ * retries them with exponential backoff and when connectivity returns.
+ * Like helpers.js, this module is an IIFE exposing its API on `window.ShortenQueue`.
+ */
+
+window.ShortenQueue = (function() {
+  const STORAGE_KEY = "shortenQueue";
+  // Don't let a long outage fill storage.local with pending requests.
+  const MAX_ENTRIES = 200;
+  // Writes read the whole list and store it back, so they run one at a time.
+  const exclusive = window.Helpers.createLock();
+
+  /**
+   * Reads all queued requests, oldest first.
+   * @returns {Promise<object[]>}
+   */
+  async function list() {
+    const o = await browser.storage.local.get({ [STORAGE_KEY]: [] });
+    return Array.isArray(o[STORAGE_KEY]) ? o[STORAGE_KEY] : [];
+  }
+
+  /**
+   * Queues a shorten request. A request for the same URL, keyword and profile is
+   * not queued twice.
+   * @param {{longUrl: string, keyword: string, title: string, profileId: string, error: string}} request
+   * @returns {Promise<object>} The queued entry.
+   */
+  function add(request) {
+    return exclusive(async () => {
+      const entries = await list();
+      const existing = entries.find(e => e.longUrl === request.longUrl && e.keyword === request.keyword && e.profileId === request.profileId);
+      if (existing) return existing;
+      const entry = {
+        id: "q" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        longUrl: request.longUrl,
+        keyword: request.keyword || "",
+        title: request.title || "",
+        profileId: request.profileId || "",
+        queuedAt: Date.now(),
+        attempts: 0,
+        nextAttemptAt: 0,
+        status: "waiting",
+        lastError: request.error || ""
+      };
+      await browser.storage.local.set({ [STORAGE_KEY]: [...entries, entry].slice(-MAX_ENTRIES) });
+      return entry;
+    });
+  }
+
+  /**
+   * Updates fields of a queued request.
+   * @param {string} id - The ID of the entry.
+   * @param {object} changes - The fields to change.
+   */
+  function update(id, changes) {
+    return exclusive(async () => {
+      const entries = await list();
+      await browser.storage.local.set({ [STORAGE_KEY]: entries.map(e => e.id === id ? { ...e, ...changes } : e) });
+    });
+  }
+
+  /**
+   * Removes a request from the queue.
+   * @param {string} id - The ID of the entry.
+   */
+  function remove(id) {
+    return exclusive(async () => {
+      const entries = await list();
+      await browser.storage.local.set({ [STORAGE_KEY]: entries.filter(e => e.id !== id) });
+    });
+  }
+
+  /**
+   * Empties the queue.
+   */
+  function clear() {
+    return exclusive(async () => {
+      await browser.storage.local.set({ [STORAGE_KEY]: [] });
+    });
+  }
+
+  return {
+    STORAGE_KEY,
+    list,
+    add,
+    update,
+    remove,
+    clear
+  };
+})();
@@ -0,0 +1,305 @@
+/**
+ * @file url-cleaner.js
+ * @description Cleans URLs before they are shortened, in two steps:
+ * 1. Redirect unwrapping: links wrapped by search engines, mail scanners or chat
+ *    services (Google, Outlook SafeLinks, Slack, …) are replaced by their real
+ *    destination, following nested wrappers recursively.
+ * 2. Tracking parameter removal: a global parameter list (utm_*, fbclid, gclid, …)
+ *    is combined with per-domain rules that either keep (allow) or additionally
+ *    strip (deny) parameters.
+ * Like helpers.js, this module is an IIFE exposing its API on `window.UrlCleaner`.
+ */
+
+window.UrlCleaner = (function() {
+  /**
+   * The built-in list of tracking parameters. A trailing `*` matches any suffix.
+   */
+  const DEFAULT_PARAMS = [
+    "utm_*",
+    "fbclid",
+    "gclid",
+    "gclsrc",
+    "dclid",
+    "gbraid",
+    "wbraid",
+    "msclkid",
+    "yclid",
+    "twclid",
+    "ttclid",
+    "li_fat_id",
+    "igshid",
+    "mc_cid",
+    "mc_eid",
+    "mkt_tok",
+    "_hsenc",
+    "_hsmi",
+    "_ga",
+    "_gl",
+    "oly_anon_id",
+    "oly_enc_id",
+    "vero_id",
+    "vero_conv",
+    "rb_clickid",
+    "s_cid",
+    "wickedid",
+    "ref_src"
+  ];
+
+  /**
+   * The built-in redirect-unwrapping rules. Each rule identifies a redirect service
+   * and describes how to extract the destination URL from it:
+   * - `host`: host name pattern, `*` matches any run of characters.
+   * - `path`: path prefix the redirect URL must start with.
+   * - `param`: query parameter holding the destination URL.
+   * - `prefix_to_strip`: optional prefix to remove from the parameter value.
+   * - `decode`: `none`, `base64` (URL-safe or standard) or `double` (percent-decoded twice).
+   */
+  const DEFAULT_REDIRECT_RULES = [
+    // Google Search, Images, etc.
+    { name: "Google", host: "www.google.*", path: "/url", param: "url", prefix_to_strip: "", decode: "none" },
+    // Bing Search adds an "a1" prefix to a base64-encoded URL.
+    { name: "Bing", host: "www.bing.com", path: "/ck/a", param: "u", prefix_to_strip: "a1", decode: "base64" },
+    { name: "DuckDuckGo", host: "duckduckgo.com", path: "/l/", param: "uddg", prefix_to_strip: "", decode: "none" },
+    // YouTube redirect links (e.g., in video descriptions)
+    { name: "YouTube", host: "www.youtube.com", path: "/redirect", param: "q", prefix_to_strip: "", decode: "none" },
+    { name: "Outlook SafeLinks", host: "*.safelinks.protection.outlook.com", path: "/", param: "url", prefix_to_strip: "", decode: "none" },
+    { name: "Facebook", host: "l.facebook.com", path: "/l.php", param: "u", prefix_to_strip: "", decode: "none" },
+    { name: "Facebook (mobile)", host: "lm.facebook.com", path: "/l.php", param: "u", prefix_to_strip: "", decode: "none" },
+    { name: "Instagram", host: "l.instagram.com", path: "/", param: "u", prefix_to_strip: "", decode: "none" },
+    { name: "Slack", host: "slack-redir.net", path: "/link", param: "url", prefix_to_strip: "", decode: "none" },
+    { name: "Steam", host: "steamcommunity.com", path: "/linkfilter/", param: "url", prefix_to_strip: "", decode: "none" }
+  ];
+
+  // Guards against redirect loops when unwrapping nested wrappers.
+  const MAX_UNWRAP_DEPTH = 5;
+
+  /**
+   * Checks whether a parameter name matches a pattern (case-insensitive, `*` wildcard).
+   * @param {string} name - The query parameter name.
+   * @param {string} pattern - The pattern, e.g. `utm_*` or `fbclid`.
+   * @returns {boolean}
+   */
+  function matches(name, pattern) {
+    const p = String(pattern || "").trim().toLowerCase();
+    if (!p) return false;
+    const n = String(name).toLowerCase();
+    if (p === "*") return true;
+    if (p.endsWith("*")) return n.startsWith(p.slice(0, -1));
+    return n === p;
+  }
+
+  /**
+   * Checks whether a host name is covered by a rule domain (the domain itself or a subdomain).
+   * @param {string} host - The host name of the URL.
+   * @param {string} domain - The domain of the rule.
+   * @returns {boolean}
+   */
+  function hostMatches(host, domain) {
+    const d = String(domain || "").trim().toLowerCase().replace(/^\*\./, "");
+    return !!d && (host === d || host.endsWith("." + d));
+  }
+
+  /**
+   * Checks whether a host name matches a redirect rule's host pattern (`*` wildcard).
+   * @param {string} host - The host name of the URL.
+   * @param {string} pattern - The rule's host pattern, e.g. `www.google.*`.
+   * @returns {boolean}
+   */
+  function hostPatternMatches(host, pattern) {
+    const p = String(pattern || "").trim().toLowerCase();
+    if (!p) return false;
+    const re = new RegExp("^" + p.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*") + "$");
+    return re.test(host);
+  }
+
+  /**
+   * Decodes a destination URL extracted from a redirect parameter.
+   * @param {string} value - The (already percent-decoded) parameter value.
+   * @param {string} decode - The rule's decoding mode.
+   * @returns {string} The decoded value, or an empty string if decoding fails.
+   */
+  function decodeValue(value, decode) {
+    try {
+      if (decode === "double") return decodeURIComponent(value);
+      if (decode === "base64") {
+        const b64 = value.replace(/-/g, "+").replace(/_/g, "/");
+        const bytes = Uint8Array.from(atob(b64 + "===".slice((b64.length + 3) % 4)), c => c.charCodeAt(0));
+        return new TextDecoder().decode(bytes);
+      }
+      return value;
+    } catch {
+      return "";
+    }
+  }
+
+  /**
+   * Applies the first matching redirect rule to a URL.
+   * @param {string} url - The URL to unwrap.
+   * @param {object[]} rules - The redirect rules.
+   * @returns {{url: string, rule: object}|null} The destination and the matching rule, or null.
+   */
+  function unwrapOnce(url, rules) {
+    let u;
+    try {
+      u = new URL(url);
+    } catch {
+      return null;
+    }
+    const host = u.hostname.toLowerCase();
+    for (const rule of rules) {
+      if (!hostPatternMatches(host, rule.host) || !u.pathname.startsWith(rule.path || "/")) continue;
+      let value = u.searchParams.get(rule.param);
+      if (!value) continue;
+      if (rule.prefix_to_strip && value.startsWith(rule.prefix_to_strip)) {
+        value = value.substring(rule.prefix_to_strip.length);
+      }
+      value = decodeValue(value, rule.decode);
+      if (/^https?:\/\//i.test(value)) return { url: value, rule };
+    }
+    return null;
+  }
+
+  /**
+   * Replaces redirect/wrapper links by their real destination, recursively.
+   * @param {string} url - The URL to unwrap.
+   * @param {object[]|null} [rules] - The redirect rules (defaults to `DEFAULT_REDIRECT_RULES`).
+   * @returns {{url: string, steps: Array<{url: string, rule: object}>}} The final URL and each unwrapping step.
+   */
+  function unwrap(url, rules) {
+    const steps = [];
+    let current = url;
+    for (let i = 0; i < MAX_UNWRAP_DEPTH; i++) {
+      const next = unwrapOnce(current, rules || DEFAULT_REDIRECT_RULES);
+      if (!next || next.url === current) break;
+      steps.push(next);
+      current = next.url;
+    }
+    return { url: current, steps };
+  }
+
+  /**
+   * Validates and normalizes redirect rules, e.g. from an imported JSON file.
+   * Accepts a bare array or an export object with a `rules` array.
+   * @param {*} data - The parsed data.
+   * @returns {object[]|null} The normalized rules, or null if the data is not a valid rule set.
+   */
+  function normalizeRedirectRules(data) {
+    const list = Array.isArray(data) ? data : data?.rules;
+    if (!Array.isArray(list)) return null;
+    const rules = list
+      .filter(r => r && typeof r.host === "string" && r.host.trim() && typeof r.param === "string" && r.param.trim())
+      .map(r => ({
+        name: String(r.name || ""),
+        host: r.host.trim(),
+        path: String(r.path || "/"),
+        param: r.param.trim(),
+        prefix_to_strip: String(r.prefix_to_strip || ""),
+        decode: ["base64", "double"].includes(r.decode) ? r.decode : "none"
+      }));
+    return rules.length === list.length ? rules : null;
+  }
+
+  /**
+   * Parses per-domain rules from their text form, one rule per line:
+   * `example.com allow: ref, tag` or `example.com deny: si`.
+   * Empty lines and lines starting with `#` are ignored.
+   * @param {string} text - The rules as entered on the options page.
+   * @returns {Array<{domain: string, allow: string[], deny: string[]}>}
+   */
+  function parseDomainRules(text) {
+    const rules = [];
+    String(text || "").split(/\r?\n/).forEach(line => {
+      const m = line.trim().match(/^([^\s#]+)\s+(allow|deny)\s*:?\s*(.*)$/i);
+      if (!m) return;
+      const params = m[3].split(/[\s,]+/).filter(Boolean);
+      if (!params.length) return;
+      const rule = { domain: m[1].toLowerCase(), allow: [], deny: [] };
+      rule[m[2].toLowerCase()] = params;
+      rules.push(rule);
+    });
+    return rules;
+  }
+
+  /**
+   * Formats per-domain rules back into their text form.
+   * @param {Array<{domain: string, allow: string[], deny: string[]}>} rules
+   * @returns {string}
+   */
+  function formatDomainRules(rules) {
+    const lines = [];
+    (rules || []).forEach(r => {
+      if (r.allow?.length) lines.push(`${r.domain} allow: ${r.allow.join(", ")}`);
+      if (r.deny?.length) lines.push(`${r.domain} deny: ${r.deny.join(", ")}`);
+    });
+    return lines.join("\n");
+  }
+
+  /**
+   * Removes tracking parameters from a URL.
+   * @param {string} url - The URL to clean.
+   * @param {{params?: string[]|null, domainRules?: object[]}} [rules] - The global parameter
+   *   list (defaults to `DEFAULT_PARAMS`) and the per-domain allow/deny rules.
+   * @returns {{url: string, removed: string[]}} The cleaned URL and the names of the removed parameters.
+   */
+  function strip(url, rules) {
+    let u;
+    try {
+      u = new URL(url);
+    } catch {
+      return { url, removed: [] };
+    }
+    if (!/^https?:$/.test(u.protocol) || !u.search) return { url, removed: [] };
+
+    const host = u.hostname.toLowerCase();
+    const scoped = (rules?.domainRules || []).filter(r => hostMatches(host, r.domain));
+    const allow = scoped.flatMap(r => r.allow || []);
+    const deny = [...(rules?.params || DEFAULT_PARAMS), ...scoped.flatMap(r => r.deny || [])];
+
+    // Filter the raw query string so the encoding of the kept parameters is preserved.
+    const removed = [];
+    const kept = u.search.slice(1).split("&").filter(pair => {
+      if (!pair) return false;
+      let name = pair.split("=")[0];
+      try {
+        name = decodeURIComponent(name.replace(/\+/g, " "));
+      } catch {
+        // Keep the raw name if it is not valid percent-encoding.
+      }
+      if (allow.some(p => matches(name, p))) return true;
+      if (deny.some(p => matches(name, p))) {
+        if (!removed.includes(name)) removed.push(name);
+        return false;
+      }
+      return true;
+    });
+    if (!removed.length) return { url, removed };
+
+    u.search = kept.length ? "?" + kept.join("&") : "";
+    return { url: u.toString(), removed };
+  }
+
+  /**
+   * Runs both cleaning steps with the user's settings: redirect unwrapping, then
+   * (if enabled) tracking parameter removal.
+   * @param {string} url - The URL to clean.
+   * @param {object} settings - The settings object from `Helpers.getSettings()`.
+   * @returns {{url: string, removed: string[]}} The cleaned URL and the names of the removed parameters.
+   */
+  function clean(url, settings) {
+    const unwrapped = unwrap(url, settings?.redirectRules).url;
+    if (!settings?.stripTracking) return { url: unwrapped, removed: [] };
+    return strip(unwrapped, { params: settings.trackingParams, domainRules: settings.trackingDomainRules });
+  }
+
+  return {
+    DEFAULT_PARAMS,
+    DEFAULT_REDIRECT_RULES,
+    unwrap,
+    normalizeRedirectRules,
+    clean,
+    matches,
+    parseDomainRules,
+    formatDomainRules,
+    strip
+  };
+})();
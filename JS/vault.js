@@ -0,0 +1,236 @@
+/**
+ * @file vault.js
+ * @description Optional encryption of the profile secrets (API signature token and
+ * password) behind a master passphrase. The secrets are encrypted with AES-GCM using
+ * a key derived from the passphrase with PBKDF2. Once unlocked, the key is kept in
+ * `browser.storage.session`, which lives in memory only, until the browser closes,
+ * the user locks it again, or it has not been used for `idleMinutes`.
+ *
+ * In `browser.storage.local`, `vault` holds `{salt, iterations, check, idleMinutes}`
+ * and every profile keeps its secrets in `sealed: {iv, data}` instead of in plain text.
+ * Like helpers.js, this module is an IIFE exposing its API on `window.Vault`.
+ */
+
+window.Vault = (function() {
+  const SESSION_KEY = "vaultSession";
+  /** The profile fields that are encrypted. */
+  const SECRET_FIELDS = ["apiSignature", "password"];
+  const PBKDF2_ITERATIONS = 600000;
+  /** The default inactivity timeout; 0 keeps the vault unlocked until the browser closes. */
+  const DEFAULT_IDLE_MINUTES = 15;
+  // A known plain text, encrypted with the key, to tell a wrong passphrase apart.
+  const CHECK_TEXT = "kurl-vault";
+  // Don't write the last-use time to session storage on every single request.
+  const TOUCH_INTERVAL_MS = 30 * 1000;
+
+  /**
+   * Encodes bytes as base64.
+   * @param {ArrayBuffer|Uint8Array} buffer
+   * @returns {string}
+   */
+  function toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  }
+
+  /**
+   * Decodes base64 into bytes.
+   * @param {string} text
+   * @returns {Uint8Array}
+   */
+  function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  }
+
+  /**
+   * Derives the AES key from a passphrase.
+   * @param {string} passphrase - The master passphrase.
+   * @param {Uint8Array} salt - The salt stored with the vault.
+   * @param {number} iterations - The PBKDF2 iteration count stored with the vault.
+   * @returns {Promise<CryptoKey>} An extractable key, so it can be kept for the session.
+   */
+  async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+      material,
+      { name: "AES-GCM", length: 256 },
+      true,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  /**
+   * Encrypts a string.
+   * @param {CryptoKey} key
+   * @param {string} text
+   * @returns {Promise<{iv: string, data: string}>}
+   */
+  async function encrypt(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(text));
+    return { iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  /**
+   * Decrypts a string; rejects if the key is wrong or the data was tampered with.
+   * @param {CryptoKey} key
+   * @param {{iv: string, data: string}} box
+   * @returns {Promise<string>}
+   */
+  async function decrypt(key, box) {
+    const data = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(box.iv) }, key, fromBase64(box.data));
+    return new TextDecoder().decode(data);
+  }
+
+  /**
+   * Reads the vault settings.
+   * @returns {Promise<object|null>} The vault, or null if no passphrase is set.
+   */
+  async function getVault() {
+    const { vault } = await browser.storage.local.get({ vault: null });
+    return vault && vault.salt && vault.check ? vault : null;
+  }
+
+  /**
+   * Keeps a key for the rest of the session.
+   * @param {CryptoKey} key
+   */
+  async function remember(key) {
+    const raw = await crypto.subtle.exportKey("raw", key);
+    await browser.storage.session.set({ [SESSION_KEY]: { key: toBase64(raw), lastUsedAt: Date.now() } });
+  }
+
+  /**
+   * Returns the session key, or null if the vault is locked. Locks the vault if it
+   * has been idle for too long, and otherwise counts the call as activity.
+   * @returns {Promise<CryptoKey|null>}
+   */
+  async function getKey() {
+    const vault = await getVault();
+    const session = (await browser.storage.session.get(SESSION_KEY))[SESSION_KEY];
+    if (!vault || !session) return null;
+    const idleMs = Number(vault.idleMinutes ?? DEFAULT_IDLE_MINUTES) * 60 * 1000;
+    if (idleMs > 0 && Date.now() - session.lastUsedAt > idleMs) {
+      await lock();
+      return null;
+    }
+    if (Date.now() - session.lastUsedAt > TOUCH_INTERVAL_MS) {
+      await browser.storage.session.set({ [SESSION_KEY]: { ...session, lastUsedAt: Date.now() } });
+    }
+    return crypto.subtle.importKey("raw", fromBase64(session.key), "AES-GCM", false, ["encrypt", "decrypt"]);
+  }
+
+  /**
+   * Reports whether a passphrase is set and whether the vault is unlocked.
+   * @returns {Promise<"off"|"locked"|"unlocked">}
+   */
+  async function status() {
+    if (!(await getVault())) return "off";
+    return (await getKey()) ? "unlocked" : "locked";
+  }
+
+  /**
+   * Unlocks the vault for this session.
+   * @param {string} passphrase - The master passphrase.
+   * @returns {Promise<boolean>} False if the passphrase is wrong.
+   */
+  async function unlock(passphrase) {
+    const vault = await getVault();
+    if (!vault) return true;
+    const key = await deriveKey(passphrase, fromBase64(vault.salt), vault.iterations);
+    try {
+      if (await decrypt(key, vault.check) !== CHECK_TEXT) return false;
+    } catch {
+      return false;
+    }
+    await remember(key);
+    return true;
+  }
+
+  /**
+   * Forgets the session key.
+   */
+  async function lock() {
+    await browser.storage.session.remove(SESSION_KEY);
+  }
+
+  /**
+   * Creates a vault for a new passphrase and unlocks it. The caller re-seals the
+   * profiles with the returned key and saves them together with the vault.
+   * @param {string} passphrase - The new master passphrase.
+   * @param {number} idleMinutes - The inactivity timeout.
+   * @returns {Promise<{vault: object, key: CryptoKey}>}
+   */
+  async function create(passphrase, idleMinutes) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const vault = {
+      salt: toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      check: await encrypt(key, CHECK_TEXT),
+      idleMinutes: Number(idleMinutes) || 0
+    };
+    await remember(key);
+    return { vault, key };
+  }
+
+  /**
+   * Changes the inactivity timeout of the vault.
+   * @param {number} idleMinutes - Minutes without use before the vault locks; 0 for never.
+   */
+  async function setIdleMinutes(idleMinutes) {
+    const vault = await getVault();
+    if (vault) await browser.storage.local.set({ vault: { ...vault, idleMinutes: Number(idleMinutes) || 0 } });
+  }
+
+  /**
+   * Encrypts the secrets of a profile.
+   * @param {object} profile - A profile with its secrets in plain text.
+   * @param {CryptoKey} key - The vault key.
+   * @returns {Promise<object>} A copy with the secrets moved into `sealed`.
+   */
+  async function seal(profile, key) {
+    const secrets = Object.fromEntries(SECRET_FIELDS.map(field => [field, profile[field] || ""]));
+    return { ...strip(profile), sealed: await encrypt(key, JSON.stringify(secrets)) };
+  }
+
+  /**
+   * Removes the plain-text secrets of a profile, keeping whatever is sealed.
+   * @param {object} profile - The profile.
+   * @returns {object} A copy without plain-text secrets.
+   */
+  function strip(profile) {
+    const copy = { ...profile };
+    for (const field of SECRET_FIELDS) copy[field] = "";
+    return copy;
+  }
+
+  /**
+   * Decrypts the secrets of a profile.
+   * @param {object} profile - A profile whose secrets may be sealed.
+   * @param {CryptoKey} key - The vault key.
+   * @returns {Promise<object>} A copy with the secrets in plain text; `sealed` is kept
+   *   so that a profile whose secrets are left untouched can be saved again as is.
+   */
+  async function open(profile, key) {
+    if (!profile?.sealed) return profile;
+    const secrets = JSON.parse(await decrypt(key, profile.sealed));
+    return { ...profile, ...secrets };
+  }
+
+  return {
+    DEFAULT_IDLE_MINUTES,
+    SESSION_KEY,
+    SECRET_FIELDS,
+    getVault,
+    getKey,
+    status,
+    unlock,
+    lock,
+    create,
+    setIdleMinutes,
+    seal,
+    strip,
+    open
+  };
+})();